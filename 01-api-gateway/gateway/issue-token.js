@@ -0,0 +1,42 @@
+// Dev helper to mint tokens for request.http
+// Usage: node issue-token.js <sub> [scope ...]
+//        node issue-token.js <sub> [scope ...] --rs256 <private-key.pem> <kid>
+//        node issue-token.js --new-rs256-key <kid>
+//            creates data/<kid>.pem and adds its public half to jwks.json (restart the gateway to load it)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('./lib/auth');
+
+const args = process.argv.slice(2);
+
+if (args[0] === '--new-rs256-key') {
+    const kid = args[1];
+    if (!kid) throw new Error('Usage: node issue-token.js --new-rs256-key <kid>');
+    const jwksFile = process.env.JWKS_PATH || path.join(__dirname, 'jwks.json');
+    const pemFile = path.join(__dirname, 'data', `${kid}.pem`);
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwks = fs.existsSync(jwksFile) ? JSON.parse(fs.readFileSync(jwksFile, 'utf8')) : { keys: [] };
+    jwks.keys = jwks.keys.filter(key => key.kid !== kid);
+    jwks.keys.push({ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' });
+
+    fs.mkdirSync(path.dirname(pemFile), { recursive: true });
+    fs.writeFileSync(pemFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    fs.writeFileSync(jwksFile, JSON.stringify(jwks, null, 4) + '\n');
+    console.log(`Private key: ${pemFile}\nPublic key "${kid}" added to ${jwksFile}`);
+    console.log(`Sign with:   node issue-token.js <sub> [scope ...] --rs256 ${path.relative(process.cwd(), pemFile)} ${kid}`);
+    process.exit(0);
+}
+
+const rsIndex = args.indexOf('--rs256');
+const rs256 = rsIndex === -1 ? null : args.splice(rsIndex, 3).slice(1);
+const [sub = 'demo-user', ...scopes] = args;
+
+const payload = { sub, scope: scopes.join(' ') };
+const token = rs256
+    ? jwt.sign(payload, fs.readFileSync(rs256[0]), { algorithm: 'RS256', keyid: rs256[1], expiresIn: '1h' })
+    : jwt.sign(payload, JWT_SECRET, { algorithm: 'HS256', expiresIn: '1h' });
+
+console.log(token);
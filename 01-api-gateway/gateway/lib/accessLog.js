@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Client supplied ids are reused only when they look like an id, anything else is replaced
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+function requestId(req, res, next) {
+    const incoming = req.headers['x-request-id'];
+    req.id = VALID_REQUEST_ID.test(incoming || '') ? incoming : crypto.randomUUID();
+    req.headers['x-request-id'] = req.id;
+    res.set('X-Request-Id', req.id);
+    next();
+}
+
+function accessLog(req, res, next) {
+    const start = process.hrtime.bigint();
+    let bytes = 0;
+
+    // Proxied responses are often chunked, so count what is written instead of trusting Content-Length
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding, ...rest) {
+        if (chunk) bytes += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+        return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+        if (chunk && typeof chunk !== 'function') bytes += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+        return end.call(this, chunk, encoding, ...rest);
+    };
+
+    res.on('finish', () => {
+        console.log(JSON.stringify({
+            time: new Date().toISOString(),
+            type: 'access',
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl,
+            route: req.routeName || null,
+            upstream: req.upstream || null,
+            status: res.statusCode,
+            latencyMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+            bytes,
+            apiKey: req.apiKey ? req.apiKey.id : null,
+            owner: req.apiKey ? req.apiKey.owner : null
+        }));
+    });
+    next();
+}
+
+module.exports = { requestId, accessLog };
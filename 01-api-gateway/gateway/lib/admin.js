@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const express = require('express');
+const metrics = require('./metrics');
+
+// Compares digests, so timingSafeEqual always gets equal lengths and the token length does not leak
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+function requireAdmin(token) {
+    const expected = digest(token);
+    return (req, res, next) => {
+        const presented = req.headers['x-admin-token'];
+        if (presented && crypto.timingSafeEqual(digest(presented), expected)) return next();
+        res.status(401).json({ error: 'unauthorized', message: 'Missing or invalid x-admin-token' });
+    };
+}
+
+function validateKeyRequest(body) {
+    const errors = [];
+    if (typeof body.owner !== 'string' || !body.owner) errors.push('owner must be a non-empty string');
+    if (body.allowedRoutes !== undefined && !(Array.isArray(body.allowedRoutes) && body.allowedRoutes.every(r => typeof r === 'string'))) {
+        errors.push('allowedRoutes must be an array of route names');
+    }
+    if (body.tier !== undefined && body.tier !== null && typeof body.tier !== 'string') errors.push('tier must be a string');
+    if (body.expiresAt !== undefined && body.expiresAt !== null && Number.isNaN(Date.parse(body.expiresAt))) {
+        errors.push('expiresAt must be an ISO date');
+    }
+    return errors;
+}
+
+function createAdminRouter({ token, keyStore, cache, routeTable }) {
+    if (!token) throw new Error('createAdminRouter needs an admin token');
+    const router = express.Router();
+    router.use(requireAdmin(token), express.json());
+
+    router.post('/keys', (req, res) => {
+        const body = req.body || {};
+        const errors = validateKeyRequest(body);
+        if (errors.length > 0) return res.status(400).json({ error: 'invalid_request', errors });
+        const created = keyStore.create({
+            owner: body.owner,
+            allowedRoutes: body.allowedRoutes,
+            tier: body.tier,
+            expiresAt: body.expiresAt ? new Date(body.expiresAt).toISOString() : null
+        });
+        console.log(`[Admin]: Created API key ${created.id} for ${created.owner}`);
+        res.status(201).json(created);
+    });
+
+    router.get('/keys', (req, res) => res.json(keyStore.list()));
+
+    // Registered before /keys/:id so "usage" is not taken for a key id
+    router.get('/keys/usage', (req, res) => res.json(keyStore.usage()));
+
+    router.get('/keys/:id', (req, res) => {
+        const key = keyStore.get(req.params.id);
+        if (!key) return res.status(404).json({ error: 'not_found', message: `No API key ${req.params.id}` });
+        res.json(key);
+    });
+
+    router.post('/keys/:id/rotate', (req, res) => {
+        const rotated = keyStore.rotate(req.params.id);
+        if (!rotated) return res.status(404).json({ error: 'not_found', message: `No active API key ${req.params.id}` });
+        console.log(`[Admin]: Rotated API key ${rotated.id}`);
+        res.json(rotated);
+    });
+
+    router.delete('/keys/:id', (req, res) => {
+        const revoked = keyStore.revoke(req.params.id);
+        if (!revoked) return res.status(404).json({ error: 'not_found', message: `No API key ${req.params.id}` });
+        console.log(`[Admin]: Revoked API key ${revoked.id}`);
+        res.json(revoked);
+    });
+
+    // DELETE /admin/cache?route=users&path=/users/1 - both filters are optional
+    router.delete('/cache', (req, res) => {
+        const removed = cache.purge({ route: req.query.route, path: req.query.path });
+        console.log(`[Admin]: Purged ${removed} cache entr${removed === 1 ? 'y' : 'ies'}`);
+        res.json({ removed });
+    });
+
+    // Health and load of every upstream, per route
+    router.get('/upstreams', (req, res) => res.json(routeTable.upstreams()));
+
+    router.get('/metrics', (req, res) => {
+        res.json({ cache: { entries: cache.size() }, counters: metrics.snapshot() });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// HS256 tokens are signed with a shared secret, RS256 tokens are checked against the local JWKS file
+const JWT_SECRET = process.env.JWT_SECRET || 'gateway-dev-secret';
+const JWKS_PATH = process.env.JWKS_PATH || path.join(__dirname, '..', 'jwks.json');
+
+function loadJwks(file) {
+    const keys = new Map();
+    if (!fs.existsSync(file)) {
+        console.warn(`[Auth]: No JWKS file at ${file}, RS256 tokens will be rejected`);
+        return keys;
+    }
+    const jwks = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const jwk of jwks.keys || []) {
+        if (jwk.kty !== 'RSA') continue;
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+    console.log(`[Auth]: Loaded ${keys.size} RS256 key(s) from ${file}`);
+    return keys;
+}
+
+// Loaded on first RS256 token so helper scripts can import this module quietly
+let publicKeys;
+
+function resolveKey(header) {
+    if (header.alg === 'HS256') return JWT_SECRET;
+    if (header.alg === 'RS256') {
+        if (!publicKeys) publicKeys = loadJwks(JWKS_PATH);
+        const key = publicKeys.get(header.kid);
+        if (!key) throw new Error(`Unknown signing key "${header.kid}"`);
+        return key;
+    }
+    throw new Error(`Unsupported algorithm "${header.alg}"`);
+}
+
+function verifyToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) throw new Error('Malformed token');
+    // Pin the algorithm so an RS256 public key can never be used as an HS256 secret
+    const claims = jwt.verify(token, resolveKey(decoded.header), { algorithms: [decoded.header.alg] });
+    // The subject identifies token-only callers (rate limit buckets, x-user-sub), so it is required
+    if (typeof claims.sub !== 'string' || !claims.sub) throw new Error('Token has no "sub" claim');
+    return claims;
+}
+
+// Supports both the space separated `scope` claim and the array form `scp`
+function scopesOf(claims) {
+    if (Array.isArray(claims.scp)) return claims.scp;
+    if (typeof claims.scope === 'string') return claims.scope.split(' ').filter(Boolean);
+    return [];
+}
+
+function authenticate(req, res, next) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'unauthorized', message: 'Missing bearer token' });
+    }
+    try {
+        req.auth = verifyToken(token);
+    } catch (err) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'invalid_token', message: err.message });
+    }
+    next();
+}
+
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (scopesOf(req.auth).includes(scope)) return next();
+        res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scope}"`);
+        res.status(403).json({ error: 'insufficient_scope', message: `Token is missing the "${scope}" scope` });
+    };
+}
+
+function identityHeaders(auth) {
+    return {
+        'x-user-sub': String(auth.sub || ''),
+        'x-user-claims': Buffer.from(JSON.stringify(auth)).toString('base64url')
+    };
+}
+
+// proxyReqOptDecorator for express-http-proxy: always overwrites or strips, so clients cannot spoof these headers
+function forwardIdentity(proxyReqOpts, srcReq) {
+    delete proxyReqOpts.headers['x-user-sub'];
+    delete proxyReqOpts.headers['x-user-claims'];
+    if (srcReq.auth) Object.assign(proxyReqOpts.headers, identityHeaders(srcReq.auth));
+    return proxyReqOpts;
+}
+
+module.exports = { authenticate, requireScope, scopesOf, forwardIdentity, identityHeaders, verifyToken, JWT_SECRET };
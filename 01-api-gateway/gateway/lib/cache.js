@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const metrics = require('./metrics');
+
+function parseCacheControl(header) {
+    const directives = {};
+    for (const part of String(header || '').toLowerCase().split(',')) {
+        const [name, value] = part.trim().split('=');
+        if (name) directives[name] = value === undefined ? true : value.replace(/"/g, '');
+    }
+    return directives;
+}
+
+// In-memory GET response cache shared by every route that sets `cache.ttl` in routes.json.
+// Keys are route + URL, so only enable it on routes whose responses do not vary per caller.
+function createResponseCache({ maxEntries = 1000 } = {}) {
+    // Map keeps insertion order, re-inserting on read turns it into an LRU
+    const entries = new Map();
+
+    const keyFor = (route, req) => `${route.name}:${req.originalUrl}`;
+
+    function remember(key, entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+        if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    }
+
+    // Guard placed in front of the proxy. Serves fresh entries and tags misses for `store`.
+    function lookup(route) {
+        return (req, res, next) => {
+            if (req.method !== 'GET') return next();
+
+            const requested = parseCacheControl(req.headers['cache-control']);
+            if (requested['no-store']) {
+                res.set('X-Cache', 'BYPASS');
+                metrics.increment('cache_bypass_total', { route: route.name });
+                return next();
+            }
+
+            const key = keyFor(route, req);
+            const entry = entries.get(key);
+            const revalidate = requested['no-cache'] || requested['max-age'] === '0';
+            if (entry && entry.expiresAt > Date.now() && !revalidate) {
+                remember(key, entry);
+                metrics.increment('cache_hits_total', { route: route.name });
+                res.set(entry.headers);
+                res.set('ETag', entry.etag);
+                res.set('Age', String(Math.floor((Date.now() - entry.storedAt) / 1000)));
+                res.set('X-Cache', 'HIT');
+                // res.send answers If-None-Match with a 304 on its own
+                return res.status(entry.status).send(entry.body);
+            }
+
+            if (entry && entry.expiresAt <= Date.now()) entries.delete(key);
+            metrics.increment('cache_misses_total', { route: route.name });
+            res.set('X-Cache', 'MISS');
+            req.cacheKey = key;
+            next();
+        };
+    }
+
+    // The gateway needs full bodies to cache, so conditional headers are not passed upstream.
+    // The client's If-None-Match is still honoured by res.send against the ETag below.
+    function stripConditionals(proxyReqOpts) {
+        delete proxyReqOpts.headers['if-none-match'];
+        delete proxyReqOpts.headers['if-modified-since'];
+        return proxyReqOpts;
+    }
+
+    // userResDecorator for express-http-proxy on cached routes
+    function store(route) {
+        return (proxyRes, proxyResData, userReq, userRes) => {
+            if (!userReq.cacheKey || proxyRes.statusCode !== 200) return proxyResData;
+
+            const etag = proxyRes.headers.etag || `"${crypto.createHash('sha1').update(proxyResData).digest('hex')}"`;
+            userRes.set('ETag', etag);
+
+            const upstream = parseCacheControl(proxyRes.headers['cache-control']);
+            if (upstream['no-store'] || upstream.private) return proxyResData;
+
+            let ttl = route.cache.ttl;
+            const maxAge = Number(upstream['s-maxage'] || upstream['max-age']);
+            if (Number.isFinite(maxAge)) ttl = Math.min(ttl, maxAge * 1000);
+            if (ttl <= 0) return proxyResData;
+
+            const now = Date.now();
+            remember(userReq.cacheKey, {
+                route: route.name,
+                path: userReq.originalUrl.split('?')[0],
+                status: proxyRes.statusCode,
+                headers: proxyRes.headers['content-type'] ? { 'Content-Type': proxyRes.headers['content-type'] } : {},
+                body: Buffer.from(proxyResData),
+                etag,
+                storedAt: now,
+                expiresAt: now + ttl
+            });
+            metrics.increment('cache_stores_total', { route: route.name });
+            return proxyResData;
+        };
+    }
+
+    // Drops entries for one route, one path (any query string), or everything
+    function purge({ route, path } = {}) {
+        let removed = 0;
+        for (const [key, entry] of [...entries]) {
+            if (route && entry.route !== route) continue;
+            if (path && entry.path !== path) continue;
+            entries.delete(key);
+            removed++;
+        }
+        metrics.increment('cache_purged_total', {}, removed);
+        return removed;
+    }
+
+    const size = () => entries.size;
+
+    return { lookup, store, stripConditionals, purge, size };
+}
+
+module.exports = { createResponseCache };
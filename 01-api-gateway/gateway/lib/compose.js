@@ -0,0 +1,75 @@
+const axios = require('axios');
+const { identityHeaders } = require('./auth');
+
+const DEFAULT_TIMEOUT = 2000;
+
+// Fills `:name` segments, e.g. "/users/:userId" with { userId: 7 } -> "/users/7"
+function fillPath(template, values) {
+    return template.replace(/:(\w+)/g, (match, name) => {
+        if (values[name] === undefined || values[name] === null) {
+            throw Object.assign(new Error(`Missing "${name}" to build ${template}`), { status: 502 });
+        }
+        return encodeURIComponent(values[name]);
+    });
+}
+
+function describeError(err) {
+    if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+        return { status: 504, message: 'Upstream timed out' };
+    }
+    if (err.response) {
+        return { status: err.response.status, message: `Upstream responded with ${err.response.status}` };
+    }
+    return { status: err.status || 502, message: err.message };
+}
+
+// Builds the handler for one composite route. `acquireUpstream(routeName)` leases a
+// target from that route's upstream pool, so composites share its balancing and health.
+function createCompositeHandler(composite, acquireUpstream) {
+    // Async so every failure, a missing path value included, reaches Promise.allSettled
+    // as a rejection and ends up as that field's _error instead of failing the whole response
+    const fetchStep = async (step, values, req) => {
+        const headers = { 'x-request-id': req.id, ...(req.auth ? identityHeaders(req.auth) : {}) };
+        // Built before leasing, so a document without the value never takes an upstream
+        const path = fillPath(step.path, values);
+        const lease = acquireUpstream(step.route);
+        if (!lease) throw Object.assign(new Error('No healthy upstream'), { status: 503 });
+        req.upstream = req.upstream ? `${req.upstream},${lease.url}` : lease.url;
+        try {
+            const response = await axios.get(lease.url + path, {
+                headers,
+                timeout: step.timeout || DEFAULT_TIMEOUT
+            });
+            return response.data;
+        } finally {
+            lease.release();
+        }
+    };
+
+    return async (req, res) => {
+        let document;
+        try {
+            document = await fetchStep(composite.root, req.params, req);
+        } catch (err) {
+            // Nothing to merge into without the root document
+            const { status, message } = describeError(err);
+            return res.status(status).json({ error: 'composition_failed', message: `${composite.root.route}: ${message}` });
+        }
+
+        // Includes only depend on the root document, so they run side by side
+        const results = await Promise.allSettled(
+            (composite.include || []).map(step => fetchStep(step, document, req))
+        );
+
+        const merged = { ...document };
+        (composite.include || []).forEach((step, i) => {
+            const result = results[i];
+            merged[step.field] = result.status === 'fulfilled'
+                ? result.value
+                : { _error: { route: step.route, ...describeError(result.reason) } };
+        });
+        res.json(merged);
+    };
+}
+
+module.exports = { createCompositeHandler };
@@ -0,0 +1,147 @@
+const express = require('express');
+const axios = require('axios');
+const DataLoader = require('dataloader');
+const { graphql, buildSchema, GraphQLError } = require('graphql');
+const { identityHeaders, scopesOf } = require('./auth');
+
+const UPSTREAM_TIMEOUT = 2000;
+
+const schema = buildSchema(`
+    type User {
+        id: ID!
+        name: String
+        email: String
+    }
+
+    type Order {
+        orderId: ID!
+        item: String
+        price: Float
+        status: String
+        userId: ID
+        user: User
+    }
+
+    type Query {
+        user(id: ID!): User
+        order(id: ID!): Order
+        orders(ids: [ID!]!): [Order]!
+    }
+`);
+
+// Maps an upstream failure to a GraphQL error the client can branch on via extensions.code
+function toGraphqlError(err, service) {
+    if (err instanceof GraphQLError) return err;
+    if (err.response) {
+        const status = err.response.status;
+        const code = status === 404 ? 'NOT_FOUND' : 'UPSTREAM_ERROR';
+        return new GraphQLError(`${service} responded with ${status}`, { extensions: { code, service, status } });
+    }
+    if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+        return new GraphQLError(`${service} timed out`, { extensions: { code: 'UPSTREAM_TIMEOUT', service } });
+    }
+    return new GraphQLError(`${service} is unavailable: ${err.message}`, { extensions: { code: 'UPSTREAM_UNAVAILABLE', service } });
+}
+
+// Loaders live for one request, so batching and de-duplication never leak between callers
+function createLoaders(req, acquireUpstream) {
+    const call = async (service, path, params) => {
+        const lease = acquireUpstream(service);
+        if (!lease) throw new GraphQLError(`No healthy upstream for ${service}`, { extensions: { code: 'UPSTREAM_UNAVAILABLE', service } });
+        try {
+            const response = await axios.get(lease.url + path, {
+                params,
+                timeout: UPSTREAM_TIMEOUT,
+                headers: { 'x-request-id': req.id, ...identityHeaders(req.auth) }
+            });
+            return response.data;
+        } catch (err) {
+            throw toGraphqlError(err, service);
+        } finally {
+            lease.release();
+        }
+    };
+
+    return {
+        // One GET /users?ids=... per tick, however many orders point at users
+        users: new DataLoader(async (ids) => {
+            const users = await call('users', '/users', { ids: ids.join(',') });
+            const byId = new Map(users.map(user => [String(user.id), user]));
+            return ids.map(id => byId.get(String(id)) || new GraphQLError(`User ${id} not found`, { extensions: { code: 'NOT_FOUND', service: 'users' } }));
+        }),
+        // The order service has no batch endpoint, the loader still de-duplicates ids
+        orders: new DataLoader((ids) => Promise.all(ids.map(id => call('orders', `/orders/${encodeURIComponent(id)}`).catch(err => err))))
+    };
+}
+
+function requireScope(context, scope) {
+    if (!scopesOf(context.auth).includes(scope)) {
+        throw new GraphQLError(`Token is missing the "${scope}" scope`, { extensions: { code: 'FORBIDDEN' } });
+    }
+}
+
+const rootValue = {
+    user: ({ id }, context) => {
+        requireScope(context, 'users:read');
+        return context.loaders.users.load(id);
+    },
+    order: ({ id }, context) => {
+        requireScope(context, 'orders:read');
+        return context.loaders.orders.load(id).then(order => ({
+            ...order,
+            user: () => {
+                requireScope(context, 'users:read');
+                return order.userId ? context.loaders.users.load(order.userId) : null;
+            }
+        }));
+    },
+    orders: ({ ids }, context) => ids.map(id => rootValue.order({ id }, context).catch(err => err))
+};
+
+const jsonBody = express.json();
+
+// A malformed body gets a GraphQL-shaped 400, not Express's HTML error page
+function parseJsonBody(req, res, next) {
+    jsonBody(req, res, (err) => {
+        if (!err) return next();
+        res.status(400).json({ errors: [{ message: 'Request body is not valid JSON' }] });
+    });
+}
+
+// Mounted behind the API key check and bearer authentication, scopes are checked per field
+function createGraphqlRouter({ acquireUpstream }) {
+    const router = express.Router();
+    router.use(parseJsonBody);
+
+    router.all('/', async (req, res) => {
+        if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).set('Allow', 'GET, POST').end();
+        const params = req.method === 'POST' ? (req.body || {}) : req.query;
+
+        let variables = params.variables;
+        if (typeof variables === 'string') {
+            try {
+                variables = JSON.parse(variables);
+            } catch (err) {
+                return res.status(400).json({ errors: [{ message: 'variables must be valid JSON' }] });
+            }
+        }
+        if (typeof params.query !== 'string') {
+            return res.status(400).json({ errors: [{ message: 'Missing "query"' }] });
+        }
+
+        const result = await graphql({
+            schema,
+            source: params.query,
+            rootValue,
+            variableValues: variables,
+            operationName: params.operationName,
+            contextValue: { auth: req.auth, loaders: createLoaders(req, acquireUpstream) }
+        });
+        // No data means the query never executed (syntax or validation error)
+        res.status(result.data === undefined ? 400 : 200).json(result);
+    });
+
+    return router;
+}
+
+module.exports = { createGraphqlRouter };
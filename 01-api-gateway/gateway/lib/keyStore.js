@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FLUSH_INTERVAL = 5000;
+
+// Keys are random 32 byte secrets, a plain SHA-256 is enough to make the file useless if it leaks
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+const newSecret = () => 'gw_' + crypto.randomBytes(32).toString('base64url');
+
+// Everything but the hash, safe to return from the admin API
+function publicView({ hash, ...record }) {
+    return record;
+}
+
+function createKeyStore(file) {
+    let keys = {};
+    const byHash = new Map();
+    let dirty = false;
+
+    const save = () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        // Write then rename so a crash never leaves a half written key file
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify({ keys: Object.values(keys) }, null, 4));
+        fs.renameSync(`${file}.tmp`, file);
+        dirty = false;
+    };
+
+    const add = (record) => {
+        keys[record.id] = record;
+        byHash.set(record.hash, record.id);
+    };
+
+    if (fs.existsSync(file)) {
+        JSON.parse(fs.readFileSync(file, 'utf8')).keys.forEach(add);
+        console.log(`[Keys]: Loaded ${Object.keys(keys).length} API key(s) from ${file}`);
+    } else {
+        // Seed the old demo key so existing clients keep working until it is rotated
+        add({
+            id: 'key_default', owner: 'default', hash: hashKey('secret123'), allowedRoutes: ['*'], tier: 'pro',
+            expiresAt: null, createdAt: new Date().toISOString(), rotatedAt: null, revokedAt: null,
+            usage: { total: 0, byRoute: {}, lastUsedAt: null }
+        });
+        save();
+        console.warn(`[Keys]: Created ${file} with the demo key "secret123", rotate it via POST /admin/keys/key_default/rotate`);
+    }
+
+    // Usage counters change on every request, so they are flushed in the background
+    setInterval(() => { if (dirty) save(); }, FLUSH_INTERVAL).unref();
+
+    function create({ owner, allowedRoutes = ['*'], tier = null, expiresAt = null }) {
+        const key = newSecret();
+        const record = {
+            id: 'key_' + crypto.randomBytes(6).toString('hex'),
+            owner, hash: hashKey(key), allowedRoutes, tier, expiresAt,
+            createdAt: new Date().toISOString(), rotatedAt: null, revokedAt: null,
+            usage: { total: 0, byRoute: {}, lastUsedAt: null }
+        };
+        add(record);
+        save();
+        return { ...publicView(record), key };
+    }
+
+    function rotate(id) {
+        const record = keys[id];
+        if (!record || record.revokedAt) return null;
+        const key = newSecret();
+        byHash.delete(record.hash);
+        record.hash = hashKey(key);
+        record.rotatedAt = new Date().toISOString();
+        byHash.set(record.hash, id);
+        save();
+        return { ...publicView(record), key };
+    }
+
+    function revoke(id) {
+        const record = keys[id];
+        if (!record) return null;
+        record.revokedAt = record.revokedAt || new Date().toISOString();
+        save();
+        return publicView(record);
+    }
+
+    const list = () => Object.values(keys).map(publicView);
+    const get = (id) => keys[id] && publicView(keys[id]);
+
+    // Replaces the old literal api-key check. Sets req.apiKey for the guards that follow.
+    function authenticate(req, res, next) {
+        const presented = req.headers['api-key'];
+        const record = presented && keys[byHash.get(hashKey(presented))];
+        if (!record) return res.status(401).send("Unauthorized: Invalid API Key");
+        if (record.revokedAt) return res.status(401).send("Unauthorized: API Key revoked");
+        if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+            return res.status(401).send("Unauthorized: API Key expired");
+        }
+        req.apiKey = publicView(record);
+        next();
+    }
+
+    // Per-route guard: checks the key may call this route.
+    // Callers with only a bearer token have no key; their token's scopes decide.
+    function requireRouteAccess(routeName) {
+        return (req, res, next) => {
+            if (!req.apiKey) return next();
+            const record = keys[req.apiKey.id];
+            if (!record.allowedRoutes.includes('*') && !record.allowedRoutes.includes(routeName)) {
+                return res.status(403).json({ error: 'route_not_allowed', message: `API key may not call ${routeName}` });
+            }
+            next();
+        };
+    }
+
+    // Counts the call; goes after the rate limit and auth guards so rejected calls are not counted
+    function recordUsage(routeName) {
+        return (req, res, next) => {
+            const record = req.apiKey && keys[req.apiKey.id];
+            if (!record) return next();
+            record.usage.total++;
+            record.usage.byRoute[routeName] = (record.usage.byRoute[routeName] || 0) + 1;
+            record.usage.lastUsedAt = new Date().toISOString();
+            dirty = true;
+            next();
+        };
+    }
+
+    const usage = () => Object.values(keys).map(({ id, owner, usage }) => ({ id, owner, ...usage }));
+
+    return { create, rotate, revoke, list, get, usage, authenticate, requireRouteAccess, recordUsage };
+}
+
+module.exports = { createKeyStore };
@@ -0,0 +1,23 @@
+// Process wide counters, served as JSON by the admin API
+const counters = new Map();
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+function increment(name, labels = {}, by = 1) {
+    if (!counters.has(name)) counters.set(name, new Map());
+    const series = counters.get(name);
+    const key = labelKey(labels);
+    const current = series.get(key) || { labels, value: 0 };
+    current.value += by;
+    series.set(key, current);
+}
+
+function snapshot() {
+    const result = {};
+    for (const [name, series] of counters) {
+        result[name] = [...series.values()];
+    }
+    return result;
+}
+
+module.exports = { increment, snapshot };
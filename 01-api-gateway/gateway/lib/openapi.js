@@ -0,0 +1,181 @@
+const fs = require('fs');
+const YAML = require('yaml');
+const Ajv = require('ajv');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+
+// coerceTypes: path and query values always arrive as strings
+const ajv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+// Bodies are validated as sent, without coercion
+const strictAjv = new Ajv({ allErrors: true, strict: false });
+
+function loadSpec(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const spec = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    if (!spec || !/^3\./.test(String(spec.openapi)) || typeof spec.paths !== 'object') {
+        throw new Error(`${file} is not an OpenAPI 3 document`);
+    }
+    return spec;
+}
+
+// Keeps the spec's components next to each schema so "#/components/..." refs resolve
+function withComponents(schema, spec) {
+    return { ...schema, components: spec.components || {} };
+}
+
+function resolveRef(object, spec) {
+    if (!object || !object.$ref) return object;
+    return object.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+}
+
+function compileParameters(parameters, location, spec) {
+    const own = parameters.filter(param => param.in === location);
+    if (own.length === 0) return null;
+    return ajv.compile(withComponents({
+        type: 'object',
+        properties: Object.fromEntries(own.map(param => [param.name, param.schema || {}])),
+        required: own.filter(param => param.required || location === 'path').map(param => param.name)
+    }, spec));
+}
+
+function jsonSchemaOf(content, spec) {
+    const media = content && (content['application/json'] || content['*/*']);
+    return media && media.schema ? withComponents(media.schema, spec) : null;
+}
+
+function compileOperations(spec) {
+    const operations = [];
+    for (const [template, pathItem] of Object.entries(spec.paths)) {
+        const names = [];
+        const pattern = template.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\{(\w+)\\\}/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+
+        for (const method of METHODS) {
+            const operation = pathItem[method];
+            if (!operation) continue;
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(param => resolveRef(param, spec));
+            const requestBody = resolveRef(operation.requestBody, spec);
+            const bodySchema = requestBody && jsonSchemaOf(requestBody.content, spec);
+
+            const responses = {};
+            for (const [status, response] of Object.entries(operation.responses || {})) {
+                const schema = jsonSchemaOf(resolveRef(response, spec).content, spec);
+                if (schema) responses[status] = strictAjv.compile(schema);
+            }
+
+            operations.push({
+                method: method.toUpperCase(),
+                template,
+                summary: operation.summary || null,
+                regex: new RegExp(`^${pattern}$`),
+                names,
+                path: compileParameters(parameters, 'path', spec),
+                query: compileParameters(parameters, 'query', spec),
+                body: bodySchema ? strictAjv.compile(bodySchema) : null,
+                bodyRequired: Boolean(requestBody && requestBody.required),
+                responses
+            });
+        }
+    }
+    return operations;
+}
+
+const describe = (location, errors) => errors.map(err => ({
+    in: location,
+    field: err.instancePath ? err.instancePath.slice(1).replace(/\//g, '.') : (err.params.missingProperty || null),
+    message: err.message
+}));
+
+// Builds the request guard and optional response checker for one route.
+// `toUpstreamPath(req)` gives the path as the upstream (and so the spec) sees it.
+function createContractValidator(route, spec, toUpstreamPath) {
+    const operations = compileOperations(spec);
+
+    const match = (method, path) => {
+        const candidates = operations.filter(op => op.regex.test(path));
+        return { candidates, operation: candidates.find(op => op.method === method) };
+    };
+
+    function validateRequest(req, res, next) {
+        const [path, search = ''] = toUpstreamPath(req).split('?');
+        const { candidates, operation } = match(req.method, path);
+        if (!operation) {
+            const status = candidates.length > 0 ? 405 : 404;
+            return res.status(status).json({
+                error: 'unknown_operation',
+                message: `${req.method} ${path} is not part of the ${route.name} contract`
+            });
+        }
+
+        const details = [];
+        if (operation.path) {
+            const raw = path.match(operation.regex);
+            const values = {};
+            operation.names.forEach((name, i) => {
+                try {
+                    values[name] = decodeURIComponent(raw[i + 1]);
+                } catch (err) {
+                    // A malformed escape such as %E0%A4%A is the client's mistake, not ours
+                    details.push({ in: 'path', field: name, message: 'is not a valid URL-encoded value' });
+                }
+            });
+            if (details.length === 0 && !operation.path(values)) details.push(...describe('path', operation.path.errors));
+        }
+        if (operation.query) {
+            const query = Object.fromEntries(new URLSearchParams(search));
+            if (!operation.query(query)) details.push(...describe('query', operation.query.errors));
+        }
+        if (operation.body) {
+            if (req.body === undefined) {
+                if (operation.bodyRequired) details.push({ in: 'body', field: null, message: 'request body is required' });
+            } else if (!operation.body(req.body)) {
+                details.push(...describe('body', operation.body.errors));
+            }
+        }
+
+        if (details.length > 0) {
+            return res.status(400).json({
+                error: 'validation_failed',
+                message: `Request does not match the ${route.name} contract`,
+                details
+            });
+        }
+        req.operation = operation;
+        next();
+    }
+
+    // userResDecorator step: never changes the response, only reports contract violations
+    function checkResponse(proxyRes, proxyResData, userReq) {
+        const operation = userReq.operation;
+        if (!operation) return proxyResData;
+        const validate = operation.responses[proxyRes.statusCode] || operation.responses[`${String(proxyRes.statusCode)[0]}XX`] || operation.responses.default;
+        if (!validate) return proxyResData;
+
+        let body;
+        try {
+            body = JSON.parse(proxyResData.toString('utf8'));
+        } catch (err) {
+            body = undefined;
+        }
+        if (body === undefined || !validate(body)) {
+            console.log(JSON.stringify({
+                time: new Date().toISOString(),
+                type: 'contract_violation',
+                requestId: userReq.id,
+                route: route.name,
+                operation: `${operation.method} ${operation.template}`,
+                status: proxyRes.statusCode,
+                details: body === undefined ? [{ in: 'response', field: null, message: 'body is not JSON' }] : describe('response', validate.errors)
+            }));
+        }
+        return proxyResData;
+    }
+
+    const docs = () => operations.map(op => ({ method: op.method, path: op.template, summary: op.summary }));
+
+    return { validateRequest, checkResponse, docs };
+}
+
+module.exports = { loadSpec, createContractValidator };
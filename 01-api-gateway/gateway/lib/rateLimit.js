@@ -0,0 +1,56 @@
+const fs = require('fs');
+const { createMemoryStore } = require('./stores/memoryStore');
+const { createRedisStore } = require('./stores/redisStore');
+
+const stores = {
+    memory: createMemoryStore,
+    redis: createRedisStore
+};
+
+function loadRateLimitConfig(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!stores[config.store]) {
+        throw new Error(`Invalid rate limit config ${file}: "store" must be one of ${Object.keys(stores).join(', ')}`);
+    }
+    for (const [name, tier] of Object.entries(config.tiers || {})) {
+        if (!(tier.capacity > 0 && tier.refillPerSecond > 0)) {
+            throw new Error(`Invalid rate limit config ${file}: tier "${name}" needs a positive capacity and refillPerSecond`);
+        }
+    }
+    if (!config.tiers || !config.tiers[config.defaultTier]) {
+        throw new Error(`Invalid rate limit config ${file}: "defaultTier" must name one of the tiers`);
+    }
+    return config;
+}
+
+// Returns a factory of per-route middlewares. Each (api key or token subject, route) pair gets its own token bucket.
+function createRateLimiter(config) {
+    const store = stores[config.store](config.options);
+
+    // The tier comes from the key's metadata in the key store; token-only callers get the default tier
+    const tierFor = (apiKey) => config.tiers[apiKey && apiKey.tier] || config.tiers[config.defaultTier];
+    const callerOf = (req) => (req.apiKey ? req.apiKey.id : `sub:${req.auth.sub}`);
+
+    return (routeName) => async (req, res, next) => {
+        const tier = tierFor(req.apiKey);
+
+        let result;
+        try {
+            result = await store.take(`${callerOf(req)}:${routeName}`, tier);
+        } catch (err) {
+            // Fail open, a broken limiter store should not take the whole gateway down
+            console.error(`[RateLimit]: Store unavailable, letting request through: ${err.message}`);
+            return next();
+        }
+
+        res.set('RateLimit-Limit', String(tier.capacity));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+        if (result.allowed) return next();
+
+        res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+        res.status(429).json({ error: 'rate_limited', message: `Too many requests for ${routeName}, retry later` });
+    };
+}
+
+module.exports = { createRateLimiter, loadRateLimitConfig };
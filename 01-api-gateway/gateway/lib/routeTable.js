@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const proxy = require('express-http-proxy');
+const YAML = require('yaml');
+const { authenticate, requireScope, forwardIdentity } = require('./auth');
+const { createCompositeHandler } = require('./compose');
+const { createUpstreamPool, strategies } = require('./upstreamPool');
+const { loadSpec, createContractValidator } = require('./openapi');
+
+const DEFAULT_TIMEOUT = 5000;
+
+function parseFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    return /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+}
+
+// Collects every problem instead of stopping at the first one, so a bad edit can be fixed in one go
+function validateConfig(config) {
+    const errors = [];
+    if (!config || !Array.isArray(config.routes) || config.routes.length === 0) {
+        return ['"routes" must be a non-empty array'];
+    }
+
+    const names = new Set();
+    const prefixes = new Set();
+    config.routes.forEach((route, i) => {
+        const at = `routes[${i}]`;
+        if (typeof route.name !== 'string' || !route.name) errors.push(`${at}.name must be a non-empty string`);
+        else if (names.has(route.name)) errors.push(`${at}.name "${route.name}" is used more than once`);
+        else names.add(route.name);
+
+        if (typeof route.prefix !== 'string' || !route.prefix.startsWith('/')) errors.push(`${at}.prefix must be a path starting with "/"`);
+        else if (prefixes.has(route.prefix)) errors.push(`${at}.prefix "${route.prefix}" is used more than once`);
+        else prefixes.add(route.prefix);
+
+        const upstreams = route.upstreams;
+        if (!Array.isArray(upstreams) || upstreams.length === 0) {
+            errors.push(`${at}.upstreams must be a non-empty array of URLs or { "url", "weight" }`);
+        } else {
+            upstreams.forEach((upstream, j) => {
+                const url = typeof upstream === 'string' ? upstream : upstream && upstream.url;
+                if (!/^https?:\/\/[^/]+/.test(url)) errors.push(`${at}.upstreams[${j}] "${url}" is not an http(s) URL`);
+                if (typeof upstream === 'object' && upstream !== null && upstream.weight !== undefined
+                    && !(Number.isInteger(upstream.weight) && upstream.weight > 0)) {
+                    errors.push(`${at}.upstreams[${j}].weight must be a positive integer`);
+                }
+            });
+        }
+        if (route.balancer !== undefined && !strategies[route.balancer]) {
+            errors.push(`${at}.balancer must be one of ${Object.keys(strategies).join(', ')}`);
+        }
+        if (route.healthCheck !== undefined) {
+            const check = route.healthCheck;
+            if (!check || typeof check !== 'object') {
+                errors.push(`${at}.healthCheck must be an object`);
+            } else {
+                if (check.path !== undefined && !(typeof check.path === 'string' && check.path.startsWith('/'))) {
+                    errors.push(`${at}.healthCheck.path must be a path starting with "/"`);
+                }
+                for (const field of ['interval', 'timeout', 'unhealthyThreshold', 'healthyThreshold']) {
+                    if (check[field] !== undefined && !(Number.isInteger(check[field]) && check[field] > 0)) {
+                        errors.push(`${at}.healthCheck.${field} must be a positive integer`);
+                    }
+                }
+            }
+        }
+
+        if (route.pathRewrite !== undefined) {
+            if (typeof route.pathRewrite !== 'object' || route.pathRewrite === null) {
+                errors.push(`${at}.pathRewrite must be an object of { "regex": "replacement" }`);
+            } else {
+                for (const pattern of Object.keys(route.pathRewrite)) {
+                    try { new RegExp(pattern); } catch (err) { errors.push(`${at}.pathRewrite "${pattern}" is not a valid regex`); }
+                }
+            }
+        }
+        if (route.timeout !== undefined && !(Number.isInteger(route.timeout) && route.timeout > 0)) {
+            errors.push(`${at}.timeout must be a positive number of milliseconds`);
+        }
+        if (route.auth !== undefined && typeof route.auth !== 'boolean') errors.push(`${at}.auth must be true or false`);
+        if (route.cache !== undefined && !(route.cache && Number.isInteger(route.cache.ttl) && route.cache.ttl > 0)) {
+            errors.push(`${at}.cache must be { "ttl": <positive milliseconds> }`);
+        }
+        if (route.scopes !== undefined && !(Array.isArray(route.scopes) && route.scopes.every(s => typeof s === 'string'))) {
+            errors.push(`${at}.scopes must be an array of strings`);
+        }
+        if (route.openapi !== undefined) {
+            if (!route.openapi || typeof route.openapi.spec !== 'string') errors.push(`${at}.openapi.spec must be a file path`);
+            if (route.openapi && route.openapi.validateResponses !== undefined && typeof route.openapi.validateResponses !== 'boolean') {
+                errors.push(`${at}.openapi.validateResponses must be true or false`);
+            }
+        }
+    });
+
+    if (config.composites !== undefined && !Array.isArray(config.composites)) {
+        errors.push('"composites" must be an array');
+    }
+    (config.composites || []).forEach((composite, i) => {
+        const at = `composites[${i}]`;
+        if (typeof composite.name !== 'string' || !composite.name) errors.push(`${at}.name must be a non-empty string`);
+        else if (names.has(composite.name)) errors.push(`${at}.name "${composite.name}" is used more than once`);
+        else names.add(composite.name);
+
+        if (typeof composite.path !== 'string' || !composite.path.startsWith('/')) errors.push(`${at}.path must be a path starting with "/"`);
+        if (composite.auth !== undefined && typeof composite.auth !== 'boolean') errors.push(`${at}.auth must be true or false`);
+        if (composite.scopes !== undefined && !(Array.isArray(composite.scopes) && composite.scopes.every(s => typeof s === 'string'))) {
+            errors.push(`${at}.scopes must be an array of strings`);
+        }
+
+        const steps = [['root', composite.root], ...(composite.include || []).map((step, j) => [`include[${j}]`, step])];
+        if (composite.include !== undefined && !Array.isArray(composite.include)) errors.push(`${at}.include must be an array`);
+        for (const [label, step] of steps) {
+            if (!step || typeof step !== 'object') {
+                errors.push(`${at}.${label} must be an object`);
+                continue;
+            }
+            if (!config.routes.some(route => route.name === step.route)) errors.push(`${at}.${label}.route "${step.route}" does not name a route`);
+            if (typeof step.path !== 'string' || !step.path.startsWith('/')) errors.push(`${at}.${label}.path must be a path starting with "/"`);
+            if (step.timeout !== undefined && !(Number.isInteger(step.timeout) && step.timeout > 0)) {
+                errors.push(`${at}.${label}.timeout must be a positive number of milliseconds`);
+            }
+            if (label !== 'root' && (typeof step.field !== 'string' || !step.field)) errors.push(`${at}.${label}.field must be a non-empty string`);
+        }
+    });
+    return errors;
+}
+
+function loadConfig(file) {
+    let config;
+    try {
+        config = parseFile(file);
+    } catch (err) {
+        throw new Error(`Invalid route config ${file}: ${err.message}`);
+    }
+    const errors = validateConfig(config);
+
+    // Contracts are loaded with the table, so a broken spec is rejected like any other bad config.
+    // Spec paths are relative to the route file.
+    config.specs = new Map();
+    if (errors.length === 0) {
+        for (const route of config.routes.filter(r => r.openapi)) {
+            try {
+                config.specs.set(route.name, loadSpec(path.resolve(path.dirname(file), route.openapi.spec)));
+            } catch (err) {
+                errors.push(`routes "${route.name}" openapi: ${err.message}`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid route config ${file}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return config;
+}
+
+function rewritePath(url, rules) {
+    return Object.entries(rules).reduce((result, [pattern, replacement]) => result.replace(new RegExp(pattern), replacement), url);
+}
+
+const jsonBody = express.json();
+
+// express.json with the same error shape as contract failures
+function parseJsonBody(req, res, next) {
+    jsonBody(req, res, (err) => {
+        if (!err) return next();
+        res.status(400).json({ error: 'validation_failed', message: 'Request body is not valid JSON', details: [] });
+    });
+}
+
+function tagRoute(name) {
+    return (req, res, next) => {
+        req.routeName = name;
+        next();
+    };
+}
+
+function buildRouter(config, { rateLimit, routeAccess, recordUsage, cache }, previousPools = new Map()) {
+    const router = express.Router();
+
+    const guardsFor = (entry) => {
+        const guards = [tagRoute(entry.name)];
+        if (routeAccess) guards.push(routeAccess(entry.name));
+        if (rateLimit) guards.push(rateLimit(entry.name));
+        if (entry.auth !== false) {
+            guards.push(authenticate, ...(entry.scopes || []).map(requireScope));
+        }
+        return guards;
+    };
+    // Only requests every guard accepted count against a key
+    const usageFor = (entry) => (recordUsage ? [recordUsage(entry.name)] : []);
+
+    const pools = new Map(config.routes.map(route => [route.name, createUpstreamPool(route, previousPools.get(route.name))]));
+    const acquireUpstream = (name) => pools.get(name).acquire();
+
+    for (const composite of config.composites || []) {
+        router.get(composite.path, ...guardsFor(composite), ...usageFor(composite), createCompositeHandler(composite, acquireUpstream));
+    }
+
+    const contracts = new Map();
+    for (const route of config.routes) {
+        const guards = guardsFor(route);
+        const upstreamPath = (req) => route.pathRewrite ? rewritePath(req.originalUrl, route.pathRewrite) : req.originalUrl;
+
+        // Validated before the cache so only valid requests can be served from it
+        const contract = config.specs.has(route.name)
+            ? createContractValidator(route, config.specs.get(route.name), upstreamPath)
+            : null;
+        if (contract) {
+            contracts.set(route.name, contract);
+            guards.push(parseJsonBody, contract.validateRequest);
+        }
+        guards.push(...usageFor(route));
+
+        const cached = Boolean(cache && route.cache);
+        if (cached) guards.push(cache.lookup(route));
+
+        const resDecorators = [];
+        if (cached) resDecorators.push(cache.store(route));
+        if (contract && route.openapi.validateResponses) resDecorators.push(contract.checkResponse);
+
+        // Picked after the cache so hits never count against an upstream
+        const selectUpstream = (req, res, next) => {
+            const lease = pools.get(route.name).acquire();
+            if (!lease) {
+                return res.status(503).json({ error: 'no_healthy_upstream', message: `No healthy upstream for ${route.name}` });
+            }
+            req.upstream = lease.url;
+            res.once('close', lease.release);
+            next();
+        };
+
+        router.use(route.prefix, ...guards, selectUpstream, proxy((req) => req.upstream, {
+            memoizeHost: false,
+            timeout: route.timeout || DEFAULT_TIMEOUT,
+            proxyReqPathResolver: upstreamPath,
+            proxyReqOptDecorator: function (proxyReqOpts, srcReq) {
+                forwardIdentity(proxyReqOpts, srcReq);
+                return cached ? cache.stripConditionals(proxyReqOpts) : proxyReqOpts;
+            },
+            ...(resDecorators.length > 0 ? {
+                userResDecorator: (proxyRes, proxyResData, userReq, userRes) =>
+                    resDecorators.reduce((data, decorate) => decorate(proxyRes, data, userReq, userRes), proxyResData)
+            } : {})
+        }));
+    }
+
+    // What /docs shows consumers
+    const docs = () => ({
+        routes: config.routes.map(route => ({
+            name: route.name,
+            prefix: route.prefix,
+            auth: route.auth !== false,
+            scopes: route.scopes || [],
+            spec: contracts.has(route.name) ? `/docs/${route.name}/openapi.json` : null,
+            operations: contracts.has(route.name) ? contracts.get(route.name).docs() : []
+        })),
+        composites: (config.composites || []).map(composite => ({
+            name: composite.name,
+            method: 'GET',
+            path: composite.path,
+            auth: composite.auth !== false,
+            scopes: composite.scopes || []
+        }))
+    });
+
+    return { router, pools, docs, specs: config.specs };
+}
+
+// `handle` always dispatches to the latest valid route table.
+// Requests already inside the old router finish there; only new requests see the swap.
+function createRouteTable(file, options = {}) {
+    let current = buildRouter(loadConfig(file), options);
+    current.pools.forEach(pool => pool.start());
+    console.log(`[Gateway]: Loaded routes from ${file}`);
+
+    let pending;
+    const reload = () => {
+        try {
+            const next = buildRouter(loadConfig(file), options, current.pools);
+            current.pools.forEach(pool => pool.stop());
+            next.pools.forEach(pool => pool.start());
+            current = next;
+            console.log(`[Gateway]: Reloaded routes from ${file}`);
+        } catch (err) {
+            console.error(`[Gateway]: ${err.message}\n[Gateway]: Keeping the previous route table`);
+        }
+    };
+
+    // Watch the directory, editors often replace the file instead of writing into it
+    fs.watch(path.dirname(file), (event, filename) => {
+        if (filename !== path.basename(file)) return;
+        clearTimeout(pending);
+        pending = setTimeout(reload, 100);
+    });
+
+    return {
+        handle: (req, res, next) => current.router(req, res, next),
+        acquire: (name) => {
+            const pool = current.pools.get(name);
+            return pool ? pool.acquire() : null;
+        },
+        upstreams: () => [...current.pools.values()].map(pool => pool.state()),
+        docs: () => current.docs(),
+        spec: (name) => current.specs.get(name)
+    };
+}
+
+module.exports = { createRouteTable, loadConfig, validateConfig };
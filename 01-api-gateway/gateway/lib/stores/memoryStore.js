@@ -0,0 +1,28 @@
+// Token buckets held in this process, fine for a single gateway instance
+function createMemoryStore() {
+    const buckets = new Map();
+
+    async function take(key, { capacity, refillPerSecond }) {
+        const now = Date.now();
+        const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+        const refilled = (now - bucket.updatedAt) * refillPerSecond / 1000;
+        bucket.tokens = Math.min(capacity, bucket.tokens + refilled);
+        bucket.updatedAt = now;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) bucket.tokens -= 1;
+        buckets.set(key, bucket);
+
+        return {
+            allowed,
+            remaining: Math.floor(bucket.tokens),
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) * 1000 / refillPerSecond),
+            resetMs: Math.ceil((capacity - bucket.tokens) * 1000 / refillPerSecond)
+        };
+    }
+
+    return { take };
+}
+
+module.exports = { createMemoryStore };
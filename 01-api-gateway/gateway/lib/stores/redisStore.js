@@ -0,0 +1,49 @@
+const Redis = require('ioredis');
+
+// The whole refill + take runs as one Lua script, so gateway instances sharing
+// this Redis never race each other on the same bucket. Redis TIME is the clock
+// for every instance.
+const TAKE_TOKEN = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+
+tokens = math.min(capacity, tokens + (now - updatedAt) * rate / 1000)
+local allowed = 0
+if tokens >= 1 then
+    tokens = tokens - 1
+    allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity * 1000 / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+function createRedisStore({ url = 'redis://localhost:6379', prefix = 'gateway:ratelimit:' } = {}) {
+    // No offline queue and a command timeout: while Redis is down take() fails fast,
+    // so the limiter's fail-open path runs instead of requests waiting on the queue
+    const redis = new Redis(url, { enableOfflineQueue: false, commandTimeout: 500, maxRetriesPerRequest: 1 });
+    redis.defineCommand('takeToken', { numberOfKeys: 1, lua: TAKE_TOKEN });
+    redis.on('error', (err) => console.error(`[RateLimit]: Redis error ${err.message}`));
+
+    async function take(key, { capacity, refillPerSecond }) {
+        const [allowed, left] = await redis.takeToken(prefix + key, capacity, refillPerSecond);
+        const tokens = Number(left);
+        return {
+            allowed: allowed === 1,
+            remaining: Math.floor(tokens),
+            retryAfterMs: allowed === 1 ? 0 : Math.ceil((1 - tokens) * 1000 / refillPerSecond),
+            resetMs: Math.ceil((capacity - tokens) * 1000 / refillPerSecond)
+        };
+    }
+
+    return { take };
+}
+
+module.exports = { createRedisStore };
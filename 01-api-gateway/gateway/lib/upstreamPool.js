@@ -0,0 +1,119 @@
+const axios = require('axios');
+
+const HEALTH_CHECK_DEFAULTS = { path: '/health', interval: 5000, timeout: 1000, unhealthyThreshold: 2, healthyThreshold: 2 };
+
+const strategies = {
+    'round-robin': (targets, pool) => targets[pool.cursor++ % targets.length],
+
+    'least-connections': (targets) => targets.reduce((best, target) => (target.active < best.active ? target : best)),
+
+    // Smooth weighted round robin (the nginx one): spreads heavy targets out instead of bursting them
+    'weighted': (targets) => {
+        const total = targets.reduce((sum, target) => sum + target.weight, 0);
+        let best = targets[0];
+        for (const target of targets) {
+            target.currentWeight += target.weight;
+            if (target.currentWeight > best.currentWeight) best = target;
+        }
+        best.currentWeight -= total;
+        return best;
+    }
+};
+
+// `previous` is the pool this one replaces on a route reload. Targets that are in both keep
+// their health, so an ejected upstream stays out until its probes pass again.
+function createUpstreamPool(route, previous = null) {
+    const strategy = strategies[route.balancer || 'round-robin'];
+    const healthCheck = route.healthCheck ? { ...HEALTH_CHECK_DEFAULTS, ...route.healthCheck } : null;
+
+    const pool = { cursor: 0 };
+    const targets = route.upstreams.map(upstream => {
+        const { url, weight = 1 } = typeof upstream === 'string' ? { url: upstream } : upstream;
+        // Without health checks nothing would ever re-admit a carried over ejection
+        const carried = healthCheck && previous ? previous.healthOf(url) : null;
+        return {
+            url, weight, healthy: true, active: 0, currentWeight: 0,
+            consecutiveFailures: 0, consecutiveSuccesses: 0, lastCheckedAt: null, lastError: null,
+            ...carried
+        };
+    });
+
+    // Returns a lease on a healthy target, or null when every target has been ejected
+    function acquire() {
+        const healthy = targets.filter(target => target.healthy);
+        if (healthy.length === 0) return null;
+        const target = strategy(healthy, pool);
+        target.active++;
+        let released = false;
+        return {
+            url: target.url,
+            release: () => {
+                if (released) return;
+                released = true;
+                target.active--;
+            }
+        };
+    }
+
+    async function probe(target) {
+        let ok = false;
+        try {
+            const response = await axios.get(target.url + healthCheck.path, { timeout: healthCheck.timeout, validateStatus: () => true });
+            ok = response.status >= 200 && response.status < 300;
+            target.lastError = ok ? null : `HTTP ${response.status}`;
+        } catch (err) {
+            target.lastError = err.code || err.message;
+        }
+        target.lastCheckedAt = new Date().toISOString();
+
+        if (ok) {
+            target.consecutiveFailures = 0;
+            target.consecutiveSuccesses++;
+            if (!target.healthy && target.consecutiveSuccesses >= healthCheck.healthyThreshold) {
+                target.healthy = true;
+                console.log(`[Pool]: ${route.name} re-admitted ${target.url}`);
+            }
+        } else {
+            target.consecutiveSuccesses = 0;
+            target.consecutiveFailures++;
+            if (target.healthy && target.consecutiveFailures >= healthCheck.unhealthyThreshold) {
+                target.healthy = false;
+                console.warn(`[Pool]: ${route.name} ejected ${target.url} (${target.lastError})`);
+            }
+        }
+    }
+
+    let timer = null;
+    function start() {
+        if (!healthCheck || timer) return;
+        const checkAll = () => targets.forEach(probe);
+        checkAll();
+        timer = setInterval(checkAll, healthCheck.interval);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    const healthOf = (url) => {
+        const target = targets.find(t => t.url === url);
+        if (!target) return null;
+        const { healthy, consecutiveFailures, consecutiveSuccesses, lastCheckedAt, lastError } = target;
+        return { healthy, consecutiveFailures, consecutiveSuccesses, lastCheckedAt, lastError };
+    };
+
+    const state = () => ({
+        route: route.name,
+        balancer: route.balancer || 'round-robin',
+        healthCheck,
+        upstreams: targets.map(({ url, weight, healthy, active, consecutiveFailures, lastCheckedAt, lastError }) => (
+            { url, weight, healthy, active, consecutiveFailures, lastCheckedAt, lastError }
+        ))
+    });
+
+    return { acquire, start, stop, state, healthOf };
+}
+
+module.exports = { createUpstreamPool, strategies };
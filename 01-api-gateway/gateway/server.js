@@ -1,34 +1,61 @@
 const express = require('express');
-const proxy = require('express-http-proxy');
+const path = require('path');
+const { createRouteTable } = require('./lib/routeTable');
+const { createRateLimiter, loadRateLimitConfig } = require('./lib/rateLimit');
+const { requestId, accessLog } = require('./lib/accessLog');
+const { createKeyStore } = require('./lib/keyStore');
+const { createAdminRouter } = require('./lib/admin');
+const { createResponseCache } = require('./lib/cache');
+const { createGraphqlRouter } = require('./lib/graphql');
+const { authenticate } = require('./lib/auth');
 const app = express();
 
+const ROUTES_FILE = process.env.ROUTES_FILE || path.join(__dirname, 'routes.json');
+const RATE_LIMIT_FILE = process.env.RATE_LIMIT_FILE || path.join(__dirname, 'ratelimit.json');
+const KEYS_FILE = process.env.KEYS_FILE || path.join(__dirname, 'data', 'keys.json');
 
-app.use((req, res, next) => {
-    console.log(`[Gateway]: Request received for ${req.url}`);
-    next();
+const keyStore = createKeyStore(KEYS_FILE);
+const cache = createResponseCache({ maxEntries: 1000 });
+const rateLimit = createRateLimiter(loadRateLimitConfig(RATE_LIMIT_FILE));
+const routeTable = createRouteTable(ROUTES_FILE, {
+    rateLimit, cache, routeAccess: keyStore.requireRouteAccess, recordUsage: keyStore.recordUsage
 });
 
 
+app.use(requestId);
+app.use(accessLog);
+
+
+// No default token: without ADMIN_TOKEN the admin API is not mounted at all
+if (process.env.ADMIN_TOKEN) {
+    app.use('/admin', createAdminRouter({ token: process.env.ADMIN_TOKEN, keyStore, cache, routeTable }));
+} else {
+    console.warn('[Admin]: ADMIN_TOKEN is not set, the admin API is disabled');
+}
+
+
+// Public, so consumers can read the contracts before they have a key
+app.get('/docs', (req, res) => res.json(routeTable.docs()));
+app.get('/docs/:route/openapi.json', (req, res) => {
+    const spec = routeTable.spec(req.params.route);
+    if (!spec) return res.status(404).json({ error: 'not_found', message: `No contract for ${req.params.route}` });
+    res.json(spec);
+});
+
+
+// An API key, or else a valid bearer token on its own; the route guards below check the token's scopes
 app.use((req, res, next) => {
-    const apiKey = req.headers['api-key'];
-    if (apiKey === 'secret123') {
-        next();
-    } else {
-        res.status(401).send("Unauthorized: Invalid API Key");
-    }
+    if (!req.headers['api-key'] && req.headers.authorization) return authenticate(req, res, next);
+    keyStore.authenticate(req, res, next);
 });
 
 
-app.use('/users', proxy('http://localhost:4001', {
-    proxyReqPathResolver: function (req) {
-        return req.originalUrl;
-    }
-}));
-app.use('/orders', proxy('http://localhost:4002', {
-    proxyReqPathResolver: function (req) {
-        return req.originalUrl;
-    }
-}));
+app.use('/graphql', keyStore.requireRouteAccess('graphql'), rateLimit('graphql'), authenticate, keyStore.recordUsage('graphql'),
+    createGraphqlRouter({ acquireUpstream: routeTable.acquire }));
+
+
+app.use(routeTable.handle);
+
 app.listen(3000, () => {
     console.log('API Gateway is running on port 3000');
 });
\ No newline at end of file
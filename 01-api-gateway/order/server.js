@@ -1,14 +1,37 @@
 const express = require('express');
 const app = express();
 
+const PORT = process.argv[2] || 4002;
+
+// Probed by the gateway's active health checks, kept out of the request log
+app.get('/health', (req, res) => res.json({ status: 'UP', port: PORT }));
+
+// One JSON line per request, tagged with the gateway's X-Request-Id for tracing
+app.use((req, res, next) => {
+    const start = Date.now();
+    res.on('finish', () => {
+        console.log(JSON.stringify({
+            time: new Date().toISOString(),
+            service: 'order',
+            requestId: req.headers['x-request-id'] || null,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            latencyMs: Date.now() - start
+        }));
+    });
+    next();
+});
+
 app.get('/orders/:id', (req, res) => {
     console.log("Order Service hit!");
     res.json({
         orderId: req.params.id,
+        userId: "1",
         item: "Gaming Laptop",
         price: 1500,
         status: "Shipped"
     });
 });
 
-app.listen(4002, () => console.log('Order Service running on port 4002'));
\ No newline at end of file
+app.listen(PORT, () => console.log(`Order Service running on port ${PORT}`));
\ No newline at end of file
@@ -1,6 +1,39 @@
 const express = require('express');
 const app = express();
 
+const PORT = process.argv[2] || 4001;
+
+// Probed by the gateway's active health checks, kept out of the request log
+app.get('/health', (req, res) => res.json({ status: 'UP', port: PORT }));
+
+// One JSON line per request, tagged with the gateway's X-Request-Id for tracing
+app.use((req, res, next) => {
+    const start = Date.now();
+    res.on('finish', () => {
+        console.log(JSON.stringify({
+            time: new Date().toISOString(),
+            service: 'user',
+            requestId: req.headers['x-request-id'] || null,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            latencyMs: Date.now() - start
+        }));
+    });
+    next();
+});
+
+// Batch lookup, e.g. /users?ids=1,2,3 - used by the gateway's GraphQL facade
+app.get('/users', (req, res) => {
+    console.log("User Service hit! (batch)");
+    const ids = String(req.query.ids || '').split(',').filter(Boolean);
+    res.json(ids.map(id => ({
+        id,
+        name: "John Doe",
+        email: "john@example.com"
+    })));
+});
+
 app.get('/users/:id', (req, res) => {
     console.log("User Service hit!");
     res.json({
@@ -10,4 +43,4 @@ app.get('/users/:id', (req, res) => {
     });
 });
 
-app.listen(4001, () => console.log('User Service running on port 4001'));
\ No newline at end of file
+app.listen(PORT, () => console.log(`User Service running on port ${PORT}`));
\ No newline at end of file
@@ -0,0 +1,126 @@
+const express = require('express');
+
+// Fault rules, applied in order to every request they match:
+//   route      - only paths starting with this (e.g. "/users/2"), all paths if omitted
+//   latencyMs  - fixed delay, or [min, max] for a random one
+//   errorRate  - 0..1 chance of answering errorStatus (default 500) instead
+//   hangRate   - 0..1 chance of never answering
+//   resetRate  - 0..1 chance of destroying the connection without a response
+const RATES = ['errorRate', 'hangRate', 'resetRate'];
+
+function validateRule(rule, index) {
+    const errors = [];
+    const at = `faults[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return [`${at} must be an object`];
+    if (rule.route !== undefined && (typeof rule.route !== 'string' || !rule.route.startsWith('/'))) {
+        errors.push(`${at}.route must be a path starting with /`);
+    }
+    const { latencyMs } = rule;
+    if (latencyMs !== undefined) {
+        const range = Array.isArray(latencyMs) ? latencyMs : [latencyMs, latencyMs];
+        if (range.length !== 2 || !range.every(n => Number.isFinite(n) && n >= 0) || range[0] > range[1]) {
+            errors.push(`${at}.latencyMs must be a number or [min, max]`);
+        }
+    }
+    for (const rate of RATES) {
+        if (rule[rate] !== undefined && !(rule[rate] >= 0 && rule[rate] <= 1)) errors.push(`${at}.${rate} must be between 0 and 1`);
+    }
+    if (rule.errorStatus !== undefined && !(Number.isInteger(rule.errorStatus) && rule.errorStatus >= 400 && rule.errorStatus <= 599)) {
+        errors.push(`${at}.errorStatus must be a 4xx or 5xx status`);
+    }
+    return errors;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// mulberry32: tiny seedable PRNG, so a seeded run rolls the same faults every time
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const chance = (random, rate) => rate > 0 && random() < rate;
+
+const delayOf = (random, { latencyMs }) => {
+    if (latencyMs === undefined) return 0;
+    if (!Array.isArray(latencyMs)) return latencyMs;
+    const [min, max] = latencyMs;
+    return min + random() * (max - min);
+};
+
+/**
+ * Runtime fault injection for the demo service.
+ * middleware goes in front of the real routes, admin serves /admin/faults:
+ *   GET    - current rules
+ *   PUT    - replace them, body { "faults": [ ... ], "seed": 42 }
+ *   DELETE - remove all faults
+ * With a seed the random draws restart from it on every PUT, so the same
+ * sequence of requests meets the same faults; without one Math.random is used.
+ */
+function createFaults(serviceName) {
+    let rules = [];
+    let seed = null;
+    let random = Math.random;
+
+    const middleware = async (req, res, next) => {
+        for (const rule of rules.filter(r => !r.route || req.path.startsWith(r.route))) {
+            const delay = delayOf(random, rule);
+            if (delay > 0) await sleep(delay);
+
+            if (chance(random, rule.resetRate)) {
+                console.log(`[FAULT] ${serviceName} reset ${req.method} ${req.path}`);
+                return req.socket.destroy();
+            }
+            // Leave the request open; only the client's timeout ends it
+            if (chance(random, rule.hangRate)) {
+                console.log(`[FAULT] ${serviceName} hang ${req.method} ${req.path}`);
+                return;
+            }
+            if (chance(random, rule.errorRate)) {
+                const status = rule.errorStatus || 500;
+                console.log(`[FAULT] ${serviceName} ${status} ${req.method} ${req.path}`);
+                return res.status(status).json({ error: 'injected_fault', status });
+            }
+        }
+        next();
+    };
+
+    const admin = express.Router();
+    admin.use(express.json());
+
+    admin.get('/', (req, res) => res.json({ faults: rules, seed }));
+
+    admin.put('/', (req, res) => {
+        const body = req.body || {};
+        const faults = body.faults;
+        if (!Array.isArray(faults)) return res.status(400).json({ error: 'invalid_request', errors: ['faults must be an array'] });
+        const errors = faults.flatMap(validateRule);
+        if (body.seed !== undefined && body.seed !== null && !(Number.isInteger(body.seed) && body.seed >= 0)) {
+            errors.push('seed must be a non-negative integer');
+        }
+        if (errors.length > 0) return res.status(400).json({ error: 'invalid_request', errors });
+        rules = faults;
+        seed = Number.isInteger(body.seed) ? body.seed : null;
+        random = seed === null ? Math.random : seededRandom(seed);
+        console.log(`[FAULT] ${serviceName} faults set${seed === null ? '' : ` (seed ${seed})`}: ${JSON.stringify(rules)}`);
+        res.json({ faults: rules, seed });
+    });
+
+    admin.delete('/', (req, res) => {
+        rules = [];
+        seed = null;
+        random = Math.random;
+        console.log(`[FAULT] ${serviceName} faults cleared`);
+        res.json({ faults: rules, seed });
+    });
+
+    return { middleware, admin };
+}
+
+module.exports = { createFaults, seededRandom };
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const express = require('express');
+
+const MODES = ['auto', 'open', 'closed', 'disabled'];
+const AUDIT_LIMIT = 500;
+
+// Compares digests, so timingSafeEqual always gets equal lengths and the token length does not leak
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+function requireAdmin(token) {
+    const expected = digest(token);
+    return (req, res, next) => {
+        const presented = req.headers['x-admin-token'];
+        if (!presented || !crypto.timingSafeEqual(digest(presented), expected)) {
+            return res.status(401).json({ error: 'unauthorized', message: 'Missing or invalid x-admin-token' });
+        }
+        // Overrides are audit-logged, so we need to know who is making them
+        const actor = req.headers['x-admin-user'];
+        if (req.method !== 'GET' && !actor) {
+            return res.status(400).json({ error: 'invalid_request', message: 'x-admin-user header is required' });
+        }
+        req.actor = actor;
+        next();
+    };
+}
+
+const stateOf = (breaker) => {
+    if (!breaker.enabled) return 'disabled';
+    if (breaker.opened) return 'open';
+    if (breaker.halfOpen) return 'half_open';
+    return 'closed';
+};
+
+/**
+ * Manual overrides for breakers created by createBreaker.
+ *   open     - stays OPEN (every call goes to the fallback) until released
+ *   closed   - stays CLOSED even if the error threshold is crossed
+ *   disabled - passthrough, calls go straight to the service without protection
+ *   auto     - back to normal opossum behaviour
+ * With a `store` (lib/persistence.js) overrides are saved and re-applied on start.
+ */
+function createAdminRouter(breakers, { token, store = null } = {}) {
+    if (!token) throw new Error('createAdminRouter needs an admin token');
+    const router = express.Router();
+    const overrides = new Map();
+    const audit = [];
+
+    const record = (entry) => {
+        const line = { at: new Date().toISOString(), ...entry };
+        audit.push(line);
+        if (audit.length > AUDIT_LIMIT) audit.shift();
+        console.log(`[AUDIT] ${JSON.stringify(line)}`);
+    };
+
+    // Keep forced states pinned against opossum's own transitions
+    for (const [name, breaker] of breakers) {
+        breaker.on('halfOpen', () => {
+            if (overrides.get(name) === 'open') breaker.open();
+        });
+        breaker.on('open', () => {
+            if (overrides.get(name) === 'closed') breaker.close();
+        });
+    }
+
+    const applyMode = (name, breaker, mode) => {
+        if (mode === 'auto') overrides.delete(name);
+        else overrides.set(name, mode);
+
+        if (mode === 'disabled') {
+            breaker.disable();
+        } else {
+            if (!breaker.enabled) breaker.enable();
+            if (mode === 'open') breaker.open();
+            if (mode === 'closed') breaker.close();
+        }
+    };
+
+    if (store) {
+        for (const [name, breaker] of breakers) {
+            const mode = store.overrideOf(name);
+            if (!mode) continue;
+            applyMode(name, breaker, mode);
+            console.log(`[Admin]: ${name} override "${mode}" restored`);
+        }
+    }
+
+    const describe = (name, breaker) => ({
+        name,
+        state: stateOf(breaker),
+        override: overrides.get(name) || 'auto',
+        stats: breaker.stats
+    });
+
+    const findBreaker = (req, res, next) => {
+        req.breaker = breakers.get(req.params.name);
+        if (!req.breaker) return res.status(404).json({ error: 'not_found', message: `No breaker ${req.params.name}` });
+        next();
+    };
+
+    router.use(requireAdmin(token), express.json());
+
+    router.get('/breakers', (req, res) => {
+        res.json([...breakers].map(([name, breaker]) => describe(name, breaker)));
+    });
+
+    router.get('/breakers/:name', findBreaker, (req, res) => res.json(describe(req.params.name, req.breaker)));
+
+    router.post('/breakers/:name/state', findBreaker, (req, res) => {
+        const { mode, reason } = req.body || {};
+        if (!MODES.includes(mode)) {
+            return res.status(400).json({ error: 'invalid_request', message: `mode must be one of ${MODES.join(', ')}` });
+        }
+
+        const { breaker } = req;
+        const name = req.params.name;
+        const previous = stateOf(breaker);
+        applyMode(name, breaker, mode);
+        if (store) store.setOverride(name, mode);
+
+        record({ actor: req.actor, breaker: name, action: 'state', mode, from: previous, to: stateOf(breaker), reason });
+        res.json(describe(name, breaker));
+    });
+
+    router.post('/breakers/:name/reset', findBreaker, (req, res) => {
+        req.breaker.status.reset();
+        record({ actor: req.actor, breaker: req.params.name, action: 'reset_stats', reason: (req.body || {}).reason });
+        res.json(describe(req.params.name, req.breaker));
+    });
+
+    router.get('/audit', (req, res) => res.json(audit));
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
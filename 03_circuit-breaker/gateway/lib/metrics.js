@@ -0,0 +1,90 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const STATES = ['closed', 'half_open', 'open'];
+
+// One series per state, the current one is 1 (the usual Prometheus "enum" shape)
+const breakerState = new client.Gauge({
+    name: 'circuit_breaker_state',
+    help: 'Current circuit state, 1 for the active state',
+    labelNames: ['service', 'state'],
+    registers: [register]
+});
+
+const counter = (name, help) => new client.Counter({ name, help, labelNames: ['service'], registers: [register] });
+const breakerEvents = {
+    success: counter('circuit_breaker_successes_total', 'Calls that succeeded'),
+    failure: counter('circuit_breaker_failures_total', 'Calls that failed'),
+    timeout: counter('circuit_breaker_timeouts_total', 'Calls that hit the breaker timeout'),
+    reject: counter('circuit_breaker_rejections_total', 'Calls rejected because the circuit was open'),
+    fallback: counter('circuit_breaker_fallbacks_total', 'Calls answered by the fallback'),
+    retry: counter('circuit_breaker_retries_total', 'Extra attempts made by the retry policy')
+};
+
+const breakerLatency = new client.Histogram({
+    name: 'circuit_breaker_latency_seconds',
+    help: 'Latency of calls made through the breaker',
+    labelNames: ['service', 'outcome'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register]
+});
+
+const httpRequests = new client.Counter({
+    name: 'gateway_http_requests_total',
+    help: 'Requests handled by the gateway',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+    name: 'gateway_http_request_duration_seconds',
+    help: 'Gateway response time',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register]
+});
+
+function setState(service, active) {
+    for (const state of STATES) breakerState.set({ service, state }, state === active ? 1 : 0);
+}
+
+// Hooks one breaker's events into the registry, labelled with the service name
+function registerBreaker(breaker, service) {
+    setState(service, breaker.opened ? 'open' : breaker.halfOpen ? 'half_open' : 'closed');
+    breaker.on('open', () => setState(service, 'open'));
+    breaker.on('halfOpen', () => setState(service, 'half_open'));
+    breaker.on('close', () => setState(service, 'closed'));
+
+    for (const [event, metric] of Object.entries(breakerEvents)) {
+        metric.inc({ service }, 0);
+        breaker.on(event, () => metric.inc({ service }));
+    }
+
+    for (const outcome of ['success', 'failure', 'timeout']) {
+        breaker.on(outcome, (result, latencyMs) => {
+            if (typeof latencyMs === 'number') breakerLatency.observe({ service, outcome }, latencyMs / 1000);
+        });
+    }
+}
+
+function httpMetrics(req, res, next) {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+        // Route pattern, not the raw URL, to keep label cardinality bounded.
+        // Mounted proxies set their own label (see lib/proxy.js).
+        const route = req.metricsRoute || (req.route ? req.baseUrl + req.route.path : 'unmatched');
+        const labels = { method: req.method, route, status: String(res.statusCode) };
+        httpRequests.inc(labels);
+        end(labels);
+    });
+    next();
+}
+
+async function metricsHandler(req, res) {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+}
+
+module.exports = { registerBreaker, httpMetrics, metricsHandler };
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+const stateOf = (breaker) => (breaker.opened ? 'open' : breaker.halfOpen ? 'half_open' : 'closed');
+
+/**
+ * Snapshots breaker state and rolling stats to a JSON file, on every state
+ * change and every `interval` ms, so a restarted gateway does not start with
+ * every circuit CLOSED against a service that is known to be down.
+ * Admin overrides (forced open / closed / disabled) are kept with it, so a
+ * restart does not quietly undo an operator's pin; the admin router re-applies them.
+ */
+function createBreakerStore(file, { interval = 5000 } = {}) {
+    let saved = {};
+    try {
+        saved = JSON.parse(fs.readFileSync(file, 'utf8')).breakers || {};
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`[Persist]: Ignoring unreadable ${file}: ${err.message}`);
+    }
+
+    const tracked = new Map();
+    // When each circuit last opened; opossum does not expose this itself
+    const openedAt = {};
+    const overrides = {};
+
+    const save = () => {
+        const now = Date.now();
+        const breakers = {};
+        for (const [name, breaker] of tracked) {
+            breakers[name] = {
+                state: stateOf(breaker),
+                enabled: breaker.enabled,
+                openedAt: openedAt[name] || null,
+                override: overrides[name] || null,
+                savedAt: now,
+                window: breaker.status.window
+            };
+        }
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify({ breakers }, null, 4));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (err) {
+            console.error(`[Persist]: Could not write ${file}: ${err.message}`);
+        }
+    };
+
+    // Puts the saved stats and state back on a freshly created breaker
+    const restore = (name, breaker, entry) => {
+        if (entry.override) overrides[name] = entry.override;
+        breaker.status.restoreWindow(entry.window || [], Date.now() - entry.savedAt);
+        if (entry.enabled === false) breaker.disable();
+        if (entry.state === 'closed' || !entry.openedAt) return;
+
+        // Only wait for what was left of resetTimeout. opossum reads
+        // options.resetTimeout when open() arms the timer, so lend it the remainder.
+        const { resetTimeout } = breaker.options;
+        const remaining = Math.max(resetTimeout - (Date.now() - entry.openedAt), 1);
+        breaker.options.resetTimeout = remaining;
+        breaker.open();
+        breaker.options.resetTimeout = resetTimeout;
+        // The open listener just stamped "now"; keep the original time instead
+        openedAt[name] = entry.openedAt;
+        save();
+        console.log(`[Persist]: ${name} restored OPEN, half-open in ${Math.round(remaining)}ms`);
+    };
+
+    const track = (name, breaker) => {
+        tracked.set(name, breaker);
+        breaker.on('open', () => {
+            openedAt[name] = Date.now();
+            save();
+        });
+        breaker.on('halfOpen', save);
+        breaker.on('close', () => {
+            delete openedAt[name];
+            save();
+        });
+        if (saved[name]) restore(name, breaker, saved[name]);
+    };
+
+    const timer = setInterval(save, interval);
+    timer.unref();
+
+    // Mode set through the admin API; "auto" removes the override
+    const setOverride = (name, mode) => {
+        if (mode === 'auto') delete overrides[name];
+        else overrides[name] = mode;
+        save();
+    };
+    const overrideOf = (name) => overrides[name] || null;
+
+    return { track, save, setOverride, overrideOf };
+}
+
+module.exports = { createBreakerStore };
@@ -0,0 +1,57 @@
+const express = require('express');
+const { StaleResponse } = require('./staleCache');
+
+// Connection-level headers, plus the ones that stop being true once axios has
+// decoded the body and express re-encodes it
+const HOP_BY_HOP = [
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+    'transfer-encoding', 'upgrade', 'host', 'content-length', 'content-encoding'
+];
+
+const strip = (headers) => Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !HOP_BY_HOP.includes(name.toLowerCase()))
+);
+
+/**
+ * Forwards any method, headers and body under the mount path to the breaker's
+ * service, e.g. app.use('/orders', ...) sends POST /orders/7/cancel to
+ * <orderService>/orders/7/cancel. Upstream status and headers are passed back.
+ */
+function createBreakerProxy(breaker) {
+    const router = express.Router();
+
+    // JSON bodies are already parsed by express.json(), everything else arrives raw
+    router.use(express.raw({ type: () => true, limit: '1mb' }));
+
+    router.use(async (req, res) => {
+        // A router.use handler has no req.route, so give httpMetrics a bounded label here
+        req.metricsRoute = `${req.baseUrl}/*`;
+        const headers = strip(req.headers);
+        const hasBody = req.body !== undefined && !(Buffer.isBuffer(req.body) && req.body.length === 0);
+
+        try {
+            const result = await breaker.fire({
+                method: req.method,
+                path: req.originalUrl,
+                headers,
+                data: hasBody ? req.body : undefined
+            });
+
+            if (result instanceof StaleResponse) {
+                res.set('X-Cache', 'STALE');
+                res.set('Age', String(result.ageSeconds));
+                return res.send(result.body);
+            }
+            if (result.status === 'fallback') return res.status(503).json(result);
+
+            res.status(result.status).set(strip(result.headers.toJSON()));
+            res.send(result.data);
+        } catch (err) {
+            res.status(503).json({ error: `${breaker.name} is currently unavailable`, message: err.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createBreakerProxy };
@@ -0,0 +1,53 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Only transient problems are worth another attempt. 4xx never reach here because
+// the loader's validateStatus treats them as answers, not errors.
+const isRetryable = (err, policy) => {
+    if (err.response) return policy.retryOnStatus.includes(err.response.status);
+    return policy.retryOnErrors.includes(err.code);
+};
+
+// "Full jitter": a random delay between 0 and the exponential cap, so callers
+// that failed together do not all come back at the same moment
+const backoff = (retry, policy) => Math.random() * Math.min(policy.maxDelay, policy.baseDelay * 2 ** retry);
+
+/**
+ * Runs attempt(timeoutMs) until it succeeds, the error is not retryable,
+ * maxAttempts is reached or the overall deadline would be passed.
+ * Each attempt gets whatever is left of the deadline as its own timeout.
+ */
+async function withRetry(attempt, policy, { onRetry = () => {} } = {}) {
+    const deadlineAt = Date.now() + policy.deadline;
+
+    for (let attemptNo = 1; ; attemptNo++) {
+        const remaining = deadlineAt - Date.now();
+        try {
+            return await attempt(Math.max(remaining, 1), attemptNo);
+        } catch (err) {
+            if (attemptNo >= policy.maxAttempts || !isRetryable(err, policy)) throw err;
+
+            const delay = backoff(attemptNo - 1, policy);
+            // Not enough budget left for the wait plus a useful attempt
+            if (Date.now() + delay >= deadlineAt) throw err;
+
+            onRetry({ attempt: attemptNo + 1, delay, error: err });
+            await sleep(delay);
+        }
+    }
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Replaying a POST/PATCH could create the same thing twice, unless the caller
+// sent an Idempotency-Key the service can use to de-duplicate
+const isIdempotent = (method, headers = {}) =>
+    IDEMPOTENT_METHODS.includes(method.toUpperCase()) || Boolean(headers['idempotency-key']);
+
+function validatePolicy(policy, breakerTimeout) {
+    if (!(policy.maxAttempts >= 1)) throw new Error('retry.maxAttempts must be at least 1');
+    if (!(policy.deadline > 0 && policy.deadline < breakerTimeout)) {
+        throw new Error(`retry.deadline (${policy.deadline}ms) must stay under the breaker timeout (${breakerTimeout}ms)`);
+    }
+}
+
+module.exports = { withRetry, validatePolicy, isIdempotent };
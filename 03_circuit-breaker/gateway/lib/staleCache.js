@@ -0,0 +1,49 @@
+// What the fallback hands back when it can answer from the cache. The route
+// handler checks for it to add the X-Cache / Age headers.
+class StaleResponse {
+    constructor(body, storedAt) {
+        this.body = body;
+        this.ageSeconds = Math.floor((Date.now() - storedAt) / 1000);
+    }
+}
+
+/**
+ * Last-known-good responses for one breaker, keyed by request path.
+ * Bounded by maxEntries (least recently used goes first) and entries older
+ * than maxStaleness ms are never served.
+ */
+function createStaleCache({ maxEntries = 100, maxStaleness = 5 * 60 * 1000 } = {}) {
+    if (!(maxEntries >= 1)) throw new Error('cache.maxEntries must be at least 1');
+    if (!(maxStaleness > 0)) throw new Error('cache.maxStaleness must be positive');
+
+    // Map keeps insertion order, so the first key is always the least recently used
+    const entries = new Map();
+
+    const set = (key, body) => {
+        entries.delete(key);
+        entries.set(key, { body, storedAt: Date.now() });
+        if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    };
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (Date.now() - entry.storedAt > maxStaleness) {
+            entries.delete(key);
+            return null;
+        }
+        entries.delete(key);
+        entries.set(key, entry);
+        return new StaleResponse(entry.body, entry.storedAt);
+    };
+
+    return { get, set, size: () => entries.size };
+}
+
+// Query params are part of the identity of a response
+const cacheKey = (path, params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return query ? `${path}?${query}` : path;
+};
+
+module.exports = { createStaleCache, cacheKey, StaleResponse };
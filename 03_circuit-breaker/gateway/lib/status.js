@@ -0,0 +1,52 @@
+const Status = require('opossum/lib/status');
+
+// opossum's Status only sums the counters it knows about. This one also keeps
+// retry counters in the same rolling window, so they show up in breaker.stats
+// next to successes and failures.
+const EXTRA_COUNTERS = ['retries', 'retrySuccesses'];
+
+class RetryAwareStatus extends Status {
+    constructor(options = {}) {
+        super(options);
+        // Same defaults opossum uses; needed to line saved buckets up in time
+        this.bucketInterval = Math.floor((options.rollingCountTimeout ?? 10000) / (options.rollingCountBuckets ?? 10));
+    }
+
+    increment(property, latencyRunTime) {
+        if (!EXTRA_COUNTERS.includes(property)) return super.increment(property, latencyRunTime);
+        // window returns a copy of the array, but the bucket objects are the live ones
+        const bucket = this.window[0];
+        bucket[property] = (bucket[property] || 0) + 1;
+    }
+
+    get stats() {
+        const totals = super.stats;
+        for (const counter of EXTRA_COUNTERS) {
+            totals[counter] = this.window.reduce((sum, bucket) => sum + ((bucket && bucket[counter]) || 0), 0);
+        }
+        return totals;
+    }
+
+    // Loads buckets saved ageMs ago. Buckets that have rotated out of the
+    // window in the meantime are dropped, the rest move back by that many slots.
+    restoreWindow(buckets, ageMs) {
+        const shift = Math.max(0, Math.floor(ageMs / this.bucketInterval));
+        const live = this.window;
+        for (let i = 0; i + shift < live.length && i < buckets.length; i++) {
+            Object.assign(live[i + shift], buckets[i]);
+        }
+    }
+
+    // Zeroes the rolling window in place (the bucket timer keeps running)
+    reset() {
+        for (const bucket of this.window) {
+            if (!bucket) continue;
+            for (const [key, value] of Object.entries(bucket)) {
+                if (typeof value === 'number') bucket[key] = 0;
+            }
+            bucket.latencyTimes = [];
+        }
+    }
+}
+
+module.exports = { RetryAwareStatus };
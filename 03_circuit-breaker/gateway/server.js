@@ -1,9 +1,18 @@
 const express = require('express');
+const path = require('path');
 const axios = require('axios');
 const CircuitBreaker = require('opossum');
+const { withRetry, validatePolicy, isIdempotent } = require('./lib/retry');
+const { RetryAwareStatus } = require('./lib/status');
+const { registerBreaker, httpMetrics, metricsHandler } = require('./lib/metrics');
+const { createStaleCache, cacheKey, StaleResponse } = require('./lib/staleCache');
+const { createAdminRouter } = require('./lib/admin');
+const { createBreakerProxy } = require('./lib/proxy');
+const { createBreakerStore } = require('./lib/persistence');
 
 const app = express();
 app.use(express.json());
+app.use(httpMetrics);
 
 const breakerOptions = {
     timeout: 3000,
@@ -11,44 +20,137 @@ const breakerOptions = {
     resetTimeout: 10000
 };
 
+// Retries happen inside one fire(), so the breaker only sees the final outcome.
+// The deadline covers all attempts and backoff and must stay under breakerOptions.timeout.
+const retryPolicy = {
+    maxAttempts: 3,
+    baseDelay: 100,
+    maxDelay: 1000,
+    deadline: 2500,
+    retryOnStatus: [502, 503, 504],
+    retryOnErrors: ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN']
+};
+
+// Which upstream statuses count as a failure for the breaker (and may be retried).
+// Everything else, e.g. a 404, is a valid answer and is passed back to the client.
+const isFailureStatus = (status) => status >= 500;
+
+// Last-known-good responses served by the fallback while a service is down
+const cacheOptions = {
+    maxEntries: 100,
+    maxStaleness: 5 * 60 * 1000
+};
 
-const createBreaker = (serviceUrl, serviceName) => {
-    const loader = async (path, params = {}) => {
+// Every breaker by service name, for the admin API
+const breakers = new Map();
+
+// Breaker state survives restarts, so a deploy does not hammer a service that is down
+const breakerStore = createBreakerStore(process.env.BREAKER_STATE_FILE || path.join(__dirname, 'data', 'breakers.json'));
+
+// fire() takes a path for a plain GET, or { method, path, params, headers, data }
+const toRequest = (target) => (typeof target === 'string' ? { path: target } : target);
+
+const createBreaker = (serviceUrl, serviceName, {
+    retry = retryPolicy,
+    cache = cacheOptions,
+    isFailure = isFailureStatus
+} = {}) => {
+    validatePolicy(retry, breakerOptions.timeout);
+    const staleCache = createStaleCache(cache);
+    const noRetry = { ...retry, maxAttempts: 1 };
+
+    const request = ({ method = 'GET', path, params, headers, data }, timeout) => axios({
+        method,
+        url: `${serviceUrl}${path}`,
+        params,
+        headers,
+        data,
+        timeout,
         // Axios ko boleinh ki 404 par error throw na kare (validateStatus)
-        const response = await axios.get(`${serviceUrl}${path}`, {
-            params,
-            validateStatus: (status) => status < 500 // Sirf 500+ errors circuit trip karenge
+        validateStatus: (status) => !isFailure(status) // Sirf failures circuit trip karenge
+    });
+
+    // Resolves with the full axios response (status, headers, data)
+    const loader = async (target) => {
+        const req = toRequest(target);
+        const method = (req.method || 'GET').toUpperCase();
+        const policy = isIdempotent(method, req.headers) ? retry : noRetry;
+
+        let retried = false;
+        const response = await withRetry((timeout) => request(req, timeout), policy, {
+            onRetry: (retryInfo) => {
+                retried = true;
+                breaker.emit('retry', retryInfo);
+            }
         });
-        return response.data;
+        if (retried) breaker.emit('retrySuccess');
+        // Only successful reads are worth replaying during an outage, not 4xx answers
+        if (method === 'GET' && response.status < 300) staleCache.set(cacheKey(req.path, req.params), response.data);
+        return response;
     };
 
-    const breaker = new CircuitBreaker(loader, breakerOptions);
+    const breaker = new CircuitBreaker(loader, {
+        ...breakerOptions,
+        name: serviceName,
+        status: new RetryAwareStatus(breakerOptions)
+    });
 
     // Fallback: Jab circuit sach mein open ho
-    breaker.fallback(() => ({
-        error: `${serviceName} is currently unavailable`,
-        message: "Please try again later.",
-        status: "fallback"
-    }));
+    // Pehle cache se last known response, warna generic error.
+    // opossum passes fire()'s argument followed by the error.
+    breaker.fallback((target) => {
+        const { method = 'GET', path, params } = toRequest(target);
+        const stale = method.toUpperCase() === 'GET' && staleCache.get(cacheKey(path, params));
+        return stale || {
+            error: `${serviceName} is currently unavailable`,
+            message: "Please try again later.",
+            status: "fallback"
+        };
+    });
+
+    breaker.on('retry', ({ attempt, delay, error }) => {
+        breaker.status.increment('retries');
+        console.log(`[RETRY] ${serviceName} attempt ${attempt} in ${Math.round(delay)}ms (${error.code || error.message})`);
+    });
+    breaker.on('retrySuccess', () => breaker.status.increment('retrySuccesses'));
 
     // Logs for Monitoring
     breaker.on('open', () => console.log(`[ALERT] Circuit for ${serviceName} is OPEN!`));
     breaker.on('close', () => console.log(`[SUCCESS] Circuit for ${serviceName} is CLOSED!`));
     breaker.on('halfOpen', () => console.log(`[HALF-OPEN] Circuit for ${serviceName} is HALF-OPEN!`));
 
+    registerBreaker(breaker, serviceName);
+    breakers.set(serviceName, breaker);
+    breakerStore.track(serviceName, breaker);
+
     return breaker;
 };
 
 const userBreaker = createBreaker('http://localhost:4001', 'User-Service');
 const orderBreaker = createBreaker('http://localhost:4002', 'Order-Service');
 
-
-
+// No default token: without ADMIN_TOKEN the admin API is not mounted at all
+if (process.env.ADMIN_TOKEN) {
+    app.use('/admin', createAdminRouter(breakers, { token: process.env.ADMIN_TOKEN, store: breakerStore }));
+} else {
+    console.warn('[Admin]: ADMIN_TOKEN is not set, the admin API is disabled');
+}
+
+const send = (res, result) => {
+    if (result instanceof StaleResponse) {
+        res.set('X-Cache', 'STALE');
+        res.set('Age', String(result.ageSeconds));
+        return res.json(result.body);
+    }
+    // Same status as the proxy's fallback, so clients can tell the error payload from real data
+    if (result.status === 'fallback') return res.status(503).json(result);
+    res.json(result.data);
+};
 
 app.get('/users/:id', async (req, res) => {
     try {
         const result = await userBreaker.fire(`/users/${req.params.id}`);
-        res.json(result);
+        send(res, result);
     } catch (err) {
         res.status(503).json(err);
     }
@@ -58,10 +160,24 @@ app.get('/users/:id', async (req, res) => {
 app.get('/orders/:id', async (req, res) => {
     try {
         const result = await orderBreaker.fire(`/orders/${req.params.id}`);
-        res.json(result);
+        send(res, result);
     } catch (err) {
         res.status(503).json(err);
     }
 });
 
+// Everything else under a service prefix (any method, headers and body)
+app.use('/users', createBreakerProxy(userBreaker));
+app.use('/orders', createBreakerProxy(orderBreaker));
+
+// Prometheus scrape endpoint
+app.get('/metrics', metricsHandler);
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        breakerStore.save();
+        process.exit(0);
+    });
+}
+
 app.listen(3000, () => console.log('🚀 Gateway with Multi-Service Circuit Breakers on port 3000'));
\ No newline at end of file
@@ -0,0 +1,81 @@
+// Plays a fault scenario against the demo services:
+//   node scenarios/run.js scenarios/order-outage.json
+// Each step replaces one service's faults at `at` ms after start. A "seed" (on the
+// scenario, or per step) makes the services roll the same faults on every run. When the
+// scenario ends (durationMs, or the last step) or on Ctrl+C, every service's
+// faults are cleared so the next run starts clean. Tests can require run() and
+// loadScenario() instead (see run.test.js).
+const fs = require('fs');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function loadScenario(file) {
+    const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const services = scenario.services || {};
+    const errors = [];
+    if (!Array.isArray(scenario.steps)) errors.push('steps must be an array');
+    (scenario.steps || []).forEach((step, i) => {
+        if (!(step.at >= 0)) errors.push(`steps[${i}].at must be a non-negative number of ms`);
+        if (!services[step.service]) errors.push(`steps[${i}].service "${step.service}" is not in services`);
+        if (!Array.isArray(step.faults)) errors.push(`steps[${i}].faults must be an array`);
+        if (step.seed !== undefined && !(Number.isInteger(step.seed) && step.seed >= 0)) errors.push(`steps[${i}].seed must be a non-negative integer`);
+    });
+    if (scenario.seed !== undefined && !(Number.isInteger(scenario.seed) && scenario.seed >= 0)) errors.push('seed must be a non-negative integer');
+    if (errors.length > 0) throw new Error(`Invalid scenario ${file}:\n  ${errors.join('\n  ')}`);
+    scenario.steps.sort((a, b) => a.at - b.at);
+    return scenario;
+}
+
+async function setFaults(baseUrl, faults, seed) {
+    const res = await fetch(`${baseUrl}/admin/faults`, {
+        method: faults.length > 0 ? 'PUT' : 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: faults.length > 0 ? JSON.stringify({ faults, seed }) : undefined
+    });
+    if (!res.ok) throw new Error(`${baseUrl} rejected faults (${res.status}): ${await res.text()}`);
+}
+
+const clearAll = (services) => Promise.allSettled(Object.values(services).map(url => setFaults(url, [])));
+
+async function run(file) {
+    const scenario = loadScenario(file);
+    const { services, steps } = scenario;
+    const startedAt = Date.now();
+    const elapsed = () => `${((Date.now() - startedAt) / 1000).toFixed(1)}s`;
+
+    const onInterrupt = async () => {
+        await clearAll(services);
+        console.log(`[${elapsed()}] interrupted, faults cleared`);
+        process.exit(130);
+    };
+    process.on('SIGINT', onInterrupt);
+
+    if (scenario.description) console.log(scenario.description);
+    try {
+        for (const step of steps) {
+            await sleep(step.at - (Date.now() - startedAt));
+            await setFaults(services[step.service], step.faults, step.seed ?? scenario.seed);
+            console.log(`[${elapsed()}] ${step.service}: ${step.note || JSON.stringify(step.faults)}`);
+        }
+        const last = steps.length > 0 ? steps[steps.length - 1].at : 0;
+        await sleep(Math.max(scenario.durationMs || last, last) - (Date.now() - startedAt));
+    } finally {
+        process.off('SIGINT', onInterrupt);
+        await clearAll(services);
+        console.log(`[${elapsed()}] done, faults cleared`);
+    }
+}
+
+if (require.main === module) {
+    if (!process.argv[2]) {
+        console.error('Usage: node scenarios/run.js <scenario.json>');
+        process.exit(1);
+    }
+
+    run(process.argv[2]).catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { run, loadScenario };
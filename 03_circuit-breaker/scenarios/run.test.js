@@ -0,0 +1,93 @@
+// Plays order-outage.json against real user, order and gateway processes and checks
+// that the Order-Service breaker opens during the outage and closes after recovery:
+//   node --test scenarios/
+// Takes about a minute; ports 3000, 4001 and 4002 must be free.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, loadScenario } = require('./run');
+
+const ROOT = path.join(__dirname, '..');
+const SCENARIO = path.join(__dirname, 'order-outage.json');
+const GATEWAY = 'http://localhost:3000';
+const ADMIN_TOKEN = 'scenario-test';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'breakers-'));
+const children = [];
+
+const start = (dir, env = {}) => {
+    const child = spawn(process.execPath, ['server.js'], { cwd: path.join(ROOT, dir), env: { ...process.env, ...env }, stdio: 'ignore' });
+    children.push(child);
+};
+
+const waitFor = async (url, { timeout = 10000 } = {}) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        try {
+            await fetch(url);
+            return;
+        } catch {
+            await sleep(200);
+        }
+    }
+    throw new Error(`${url} did not come up`);
+};
+
+const orderBreakerState = async () => {
+    const res = await fetch(`${GATEWAY}/admin/breakers/Order-Service`, { headers: { 'x-admin-token': ADMIN_TOKEN } });
+    return (await res.json()).state;
+};
+
+before(async () => {
+    start('user');
+    start('order');
+    start('gateway', { ADMIN_TOKEN, BREAKER_STATE_FILE: path.join(stateDir, 'breakers.json') });
+    await Promise.all(['http://localhost:4001/users/1', 'http://localhost:4002/orders/1', `${GATEWAY}/metrics`].map(url => waitFor(url)));
+});
+
+after(async () => {
+    // The gateway saves its breaker state on the way out, so wait before removing it
+    await Promise.all(children.map(child => new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+    })));
+    fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+test('order-outage.json has a fixed seed', () => {
+    assert.strictEqual(loadScenario(SCENARIO).seed, 42);
+});
+
+test('the Order-Service breaker opens during the outage and closes after recovery', { timeout: 120000 }, async () => {
+    const startedAt = Date.now();
+    const seen = [];
+    let lastState = null;
+
+    // Steady traffic through the breaker, and its state sampled alongside
+    const traffic = setInterval(() => fetch(`${GATEWAY}/orders/1`).catch(() => {}), 250);
+    const sampler = setInterval(async () => {
+        const state = await orderBreakerState().catch(() => null);
+        if (state && state !== lastState) seen.push({ at: Date.now() - startedAt, state });
+        lastState = state || lastState;
+    }, 250);
+
+    try {
+        await run(SCENARIO);
+
+        // Faults are cleared now; give the breaker its resetTimeout to half-open and close
+        const deadline = Date.now() + 20000;
+        while (Date.now() < deadline && (await orderBreakerState()) !== 'closed') await sleep(250);
+    } finally {
+        clearInterval(traffic);
+        clearInterval(sampler);
+    }
+
+    const opened = seen.find(({ state }) => state === 'open');
+    assert.ok(opened, `breaker never opened, states seen: ${JSON.stringify(seen)}`);
+    assert.ok(opened.at >= 5000 && opened.at <= 30000, `breaker opened at ${opened.at}ms, outside the outage`);
+    assert.strictEqual(await orderBreakerState(), 'closed');
+});
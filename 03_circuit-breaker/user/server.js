@@ -1,6 +1,12 @@
 const express = require('express');
+const { createFaults } = require('fault-injection');
 const app = express();
 
+// Fault injection for exercising the gateway's breakers (see README)
+const faults = createFaults('User Service');
+app.use('/admin/faults', faults.admin);
+app.use(faults.middleware);
+
 app.get('/users/:id', (req, res) => {
     console.log("User Service hit!");
     res.json({
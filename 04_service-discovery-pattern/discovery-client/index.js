@@ -0,0 +1,280 @@
+const axios = require("axios");
+const { strategies } = require("./strategies");
+const { createRegistration } = require("./registration");
+
+const DEFAULTS = { refreshInterval: 5000, strategy: "round-robin", retries: 1, timeout: 3000, watch: false };
+const WATCH_MAX_BACKOFF = 30000;
+
+// Replaying these cannot do anything twice; POST/PATCH go to one instance only
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// Worth another instance: connection errors, timeouts and 5xx. A 4xx is an answer.
+const shouldRetry = (err, method) => IDEMPOTENT_METHODS.includes(method) && (!err.response || err.response.status >= 500);
+
+const noInstances = (name) => Object.assign(new Error(`No instances of ${name} available`), { code: "NO_INSTANCES" });
+const unknownService = (name) => Object.assign(new Error(`Unknown service ${name}`), { code: "UNKNOWN_SERVICE" });
+// Not an answer from an instance, so callers must not mistake it for one
+const registryFailed = (key, err) => Object.assign(new Error(`Registry lookup of ${key} failed: ${err.message}`), { code: "REGISTRY_UNAVAILABLE", cause: err });
+
+// { version: "2.x", tag: ["canary"] } → "version=2.x&tag=canary", the registry's filter query
+const toQuery = (filter = {}) => {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(filter)) {
+        for (const item of [].concat(value)) query.append(key, item);
+    }
+    return query.toString();
+};
+
+/**
+ * Client-side discovery. The instance list of each service is fetched from the
+ * registry on first use, cached and refreshed in the background; when the
+ * registry cannot be reached the last known list keeps being used.
+ *
+ *   const discovery = createDiscoveryClient({ registry: "http://localhost:3000" });
+ *   const { data } = await discovery.request("user-service", { url: "/users" });
+ *   await discovery.request("user-service", { url: "/users" }, { version: "2.x", tag: "canary" });
+ *
+ * Each service + filter combination is cached as its own list, empty ones
+ * included. A service the registry has no registrations for at all is not
+ * cached (nor watched) and fails with UNKNOWN_SERVICE, so made-up names cannot
+ * pile up state in the client.
+ *
+ * With `watch: true` the lists are not polled. The client keeps one
+ * /watch/:name stream per service open instead and refetches that service's
+ * lists when the registry reports a change.
+ *
+ * `registry` can also list several nodes of a registry cluster; the client
+ * sticks to one and moves to the next when it cannot be reached.
+ */
+function createDiscoveryClient(options = {}) {
+    const { registry, refreshInterval, strategy: strategyName, retries, timeout, watch } = { ...DEFAULTS, ...options };
+    const strategy = strategies[strategyName];
+    const nodes = [].concat(registry || []);
+    if (nodes.length === 0) throw new Error("registry URL is required");
+    if (!strategy) throw new Error(`Unknown strategy "${strategyName}", expected one of ${Object.keys(strategies).join(", ")}`);
+
+    const services = new Map();
+    const watchers = new Map();
+    let current = 0;
+
+    const nextNode = (node) => {
+        if (nodes[current] === node) current = (current + 1) % nodes.length;
+    };
+
+    // GET on the current registry node, moving on to the others on connection errors
+    const registryGet = async (path) => {
+        let lastError;
+        for (let i = 0; i < nodes.length; i++) {
+            const node = nodes[current];
+            try {
+                return { node, response: await axios.get(`${node}${path}`, { timeout }) };
+            } catch (err) {
+                if (err.response) throw err;
+                lastError = err;
+                nextNode(node);
+            }
+        }
+        throw lastError;
+    };
+
+    // Keeps the counters (outstanding, currentWeight) of instances we already knew
+    const update = (entry, list) => {
+        const known = new Map(entry.instances.map(i => [i.id, i]));
+        entry.instances = list.map(({ id, host, port, weight = 1, version = null, zone = null, tags = [] }) => {
+            const fields = { host, port, weight, version, zone, tags };
+            const previous = known.get(id);
+            if (previous) return Object.assign(previous, fields);
+            return { id, ...fields, outstanding: 0, currentWeight: 0 };
+        });
+        entry.fetchedAt = Date.now();
+    };
+
+    // `key` is the service name plus its filter query, e.g. "user-service?tag=canary"
+    const refresh = async (key, entry) => {
+        try {
+            const { node, response: { data, headers } } = await registryGet(`/instances/${key}`);
+            update(entry, data);
+            // Indexes are per node, so remember which node this one came from
+            entry.index = { node, value: Number(headers["x-registry-index"]) };
+            if (entry.stale) console.log(`[Discovery]: registry is back, ${key} has ${data.length} instance(s)`);
+            entry.stale = false;
+        } catch (err) {
+            // Nothing cached yet, so nothing to fall back to
+            if (!entry.fetchedAt) throw registryFailed(key, err);
+            if (!entry.stale) console.log(`[Discovery]: registry unreachable (${err.code || err.message}), using last known ${key} list`);
+            entry.stale = true;
+        }
+    };
+
+    // Refreshes triggered by a burst of events collapse into one in flight plus one queued
+    const refreshSoon = (key, entry) => {
+        if (entry.refreshing) {
+            entry.again = true;
+            return;
+        }
+        entry.refreshing = refresh(key, entry).finally(() => {
+            entry.refreshing = null;
+            if (entry.again) {
+                entry.again = false;
+                refreshSoon(key, entry);
+            }
+        });
+    };
+
+    // Asked only when a new list comes back empty: without filters, does the registry know the name at all?
+    const isRegistered = async (name) => {
+        try {
+            await registryGet(`/discover/${encodeURIComponent(name)}`);
+            return true;
+        } catch (err) {
+            if (err.response && err.response.status === 404) return err.response.data.registered !== false;
+            throw registryFailed(name, err);
+        }
+    };
+
+    const startWatch = (name, from) => {
+        if (watchers.has(name)) return;
+        const watcher = { node: from.node, lastIndex: from.value, stream: null, failures: 0, stopped: false };
+        watchers.set(name, watcher);
+
+        const onEvent = (event) => {
+            watcher.lastIndex = event.index;
+            for (const entry of services.values()) {
+                if (entry.name === name) refreshSoon(entry.key, entry);
+            }
+        };
+
+        const connect = async () => {
+            const node = nodes[current];
+            let retried = false;
+            const retry = () => {
+                if (retried || watcher.stopped) return;
+                retried = true;
+                nextNode(node);
+                const delay = Math.min(WATCH_MAX_BACKOFF, 1000 * 2 ** watcher.failures++);
+                setTimeout(connect, delay).unref();
+            };
+            try {
+                // Another node does not know our index and starts with a snapshot instead
+                const resume = node === watcher.node && Number.isInteger(watcher.lastIndex);
+                const headers = resume ? { "Last-Event-ID": String(watcher.lastIndex) } : {};
+                // No timeout: the stream stays open as long as the registry is up
+                const response = await axios.get(`${node}/watch/${encodeURIComponent(name)}`, { headers, responseType: "stream" });
+                watcher.node = node;
+                watcher.stream = response.data;
+                watcher.failures = 0;
+
+                let buffer = "";
+                // Decoded by the stream, so a multi-byte character split across chunks stays whole
+                response.data.setEncoding("utf8");
+                response.data.on("data", (chunk) => {
+                    buffer += chunk;
+                    let end;
+                    while ((end = buffer.indexOf("\n\n")) !== -1) {
+                        const data = buffer.slice(0, end).split("\n")
+                            .filter(line => line.startsWith("data: "))
+                            .map(line => line.slice(6))
+                            .join("\n");
+                        buffer = buffer.slice(end + 2);
+                        // Blocks without data are keepalive comments
+                        if (!data) continue;
+                        try {
+                            onEvent(JSON.parse(data));
+                        } catch (err) {
+                            // A bad frame must not crash the process; reconnecting resyncs from the last good index
+                            console.log(`[Discovery]: bad event on ${name} watch (${err.message}), reconnecting`);
+                            return response.data.destroy(err);
+                        }
+                    }
+                });
+                response.data.on("error", retry);
+                response.data.on("end", retry);
+            } catch (err) {
+                if (watcher.failures === 0) console.log(`[Discovery]: watch on ${name} failed (${err.code || err.message}), reconnecting`);
+                retry();
+            }
+        };
+        connect();
+    };
+
+    const lookup = async (name, filter) => {
+        const query = toQuery(filter);
+        const key = encodeURIComponent(name) + (query ? `?${query}` : "");
+        let entry = services.get(key);
+        if (!entry) {
+            entry = { name, key, instances: [], fetchedAt: null, stale: false, state: {} };
+            entry.ready = refresh(key, entry).then(async () => {
+                if (entry.instances.length === 0 && !(await isRegistered(name))) throw unknownService(name);
+            });
+            services.set(key, entry);
+            entry.ready.then(() => {
+                // Watch from the index the list was read at, so no change falls in between
+                if (watch) return startWatch(name, entry.index);
+                entry.timer = setInterval(() => refresh(key, entry), refreshInterval);
+                entry.timer.unref();
+            }, () => services.delete(key));
+        }
+        await entry.ready;
+        return entry;
+    };
+
+    // A lease on one instance; call release() when the request is done
+    const acquire = async (name, { filter, exclude = new Set() } = {}) => {
+        const entry = await lookup(name, filter);
+        const candidates = entry.instances.filter(i => !exclude.has(i.id));
+        if (candidates.length === 0) return null;
+
+        const instance = strategy(candidates, entry.state);
+        instance.outstanding++;
+        let released = false;
+        return {
+            id: instance.id,
+            url: `http://${instance.host}:${instance.port}`,
+            release: () => {
+                if (released) return;
+                released = true;
+                instance.outstanding--;
+            },
+        };
+    };
+
+    // axios request against one instance of `name`, retried on other instances
+    const request = async (name, config = {}, filter) => {
+        const method = (config.method || "GET").toUpperCase();
+        const tried = new Set();
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            const lease = await acquire(name, { filter, exclude: tried });
+            if (!lease) break;
+            tried.add(lease.id);
+            try {
+                return await axios({ timeout, ...config, baseURL: lease.url });
+            } catch (err) {
+                lastError = err;
+                if (!shouldRetry(err, method)) throw err;
+                console.log(`[Discovery]: ${name} at ${lease.id} failed (${err.code || (err.response && err.response.status) || err.message}), trying another instance`);
+            } finally {
+                lease.release();
+            }
+        }
+        throw lastError || noInstances(name);
+    };
+
+    const instances = async (name, filter) => (await lookup(name, filter)).instances
+        .map(({ id, host, port, version, zone, tags, weight, outstanding }) => ({ id, host, port, version, zone, tags, weight, outstanding }));
+
+    const stop = () => {
+        for (const entry of services.values()) clearInterval(entry.timer);
+        for (const watcher of watchers.values()) {
+            watcher.stopped = true;
+            if (watcher.stream) watcher.stream.destroy();
+        }
+        services.clear();
+        watchers.clear();
+    };
+
+    return { request, acquire, instances, stop };
+}
+
+module.exports = { createDiscoveryClient, createRegistration, strategies };
@@ -0,0 +1,78 @@
+const axios = require("axios");
+
+const TIMEOUT = 2000;
+
+/**
+ * The service side of discovery: registration, heartbeats and a graceful exit.
+ *
+ *   const registration = createRegistration({ registry, instance: { name, host, port }, metadata, ttl, healthCheck });
+ *   await registration.start();                 // registered as STARTING, heartbeats running
+ *   server = app.listen(port, () => registration.setStatus("UP"));
+ *   await registration.drain(server);           // DRAINING, in-flight requests finish, deregistered
+ *
+ * STARTING → UP → DRAINING; only UP instances are discovered. `registry` can list
+ * several nodes of a registry cluster.
+ */
+function createRegistration({ registry, instance, metadata = {}, ttl = 15000, healthCheck = null }) {
+    const nodes = [].concat(registry || []);
+    if (nodes.length === 0) throw new Error("registry URL is required");
+
+    let status = "STARTING";
+    let heartbeatTimer;
+
+    // Every node accepts writes, so when one is down the next one gets the call.
+    // Only connection errors move on; an answer such as a 404 is returned to the caller.
+    const callRegistry = async (path, body) => {
+        let lastError;
+        for (const node of nodes) {
+            try {
+                return await axios.post(`${node}${path}`, body, { timeout: TIMEOUT });
+            } catch (err) {
+                if (err.response) throw err;
+                lastError = err;
+            }
+        }
+        throw lastError;
+    };
+
+    const register = () => callRegistry("/register", { ...instance, ...metadata, ttl, status, ...(healthCheck && { healthCheck }) });
+
+    const setStatus = async (next) => {
+        status = next;
+        try {
+            await callRegistry("/status", { ...instance, status });
+        } catch (err) {
+            if (err.response && err.response.status === 404) return register();
+            throw err;
+        }
+    };
+
+    // Renews the lease a few times per TTL. If the registry lost us (restart,
+    // or we were evicted after a pause) register again.
+    const heartbeat = async () => {
+        try {
+            await callRegistry("/heartbeat", instance);
+        } catch (err) {
+            if (err.response && err.response.status === 404) return register().catch(() => {});
+            console.log(`Heartbeat failed: ${err.message}`);
+        }
+    };
+
+    // Registered as STARTING first, so the registry knows about us before we take traffic
+    const start = async () => {
+        await register().catch(err => console.log(`Registration failed, will retry: ${err.message}`));
+        heartbeatTimer = setInterval(heartbeat, ttl / 3);
+    };
+
+    // Stop getting new traffic, let in-flight requests on `server` finish, then leave the registry
+    const drain = async (server) => {
+        clearInterval(heartbeatTimer);
+        await setStatus("DRAINING").catch(err => console.log(`Could not mark DRAINING: ${err.message}`));
+        if (server) await new Promise(resolve => server.close(resolve));
+        await callRegistry("/deregister", instance).catch(err => console.log(`Deregister failed: ${err.message}`));
+    };
+
+    return { start, setStatus, drain, status: () => status };
+}
+
+module.exports = { createRegistration };
@@ -0,0 +1,24 @@
+// Each strategy picks one of the (non-empty) instances of a service. `state` is
+// kept per service across calls; instances keep their `outstanding` and
+// `currentWeight` counters across list refreshes (see index.js).
+const strategies = {
+    "round-robin": (instances, state) => instances[(state.cursor = (state.cursor || 0) + 1) % instances.length],
+
+    "random": (instances) => instances[Math.floor(Math.random() * instances.length)],
+
+    "least-outstanding": (instances) => instances.reduce((best, instance) => (instance.outstanding < best.outstanding ? instance : best)),
+
+    // Smooth weighted round robin: spreads heavy instances out instead of bursting them
+    "weighted": (instances) => {
+        const total = instances.reduce((sum, instance) => sum + instance.weight, 0);
+        let best = instances[0];
+        for (const instance of instances) {
+            instance.currentWeight += instance.weight;
+            if (instance.currentWeight > best.currentWeight) best = instance;
+        }
+        best.currentWeight -= total;
+        return best;
+    },
+};
+
+module.exports = { strategies };
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+
+// "GET /users/*": a method (or "*") and a path; a trailing "/*" matches everything below it.
+// A rule of just "*" allows every method on every path.
+function parseRule(rule) {
+    if (rule === "*") return { method: "*", path: "*" };
+    const match = /^(\*|[A-Z]+) (\*|\/\S*)$/.exec(rule);
+    return match ? { method: match[1], path: match[2] } : null;
+}
+
+const ruleMatches = (rule, method, urlPath) =>
+    (rule.method === "*" || rule.method === method) &&
+    (rule.path === "*" || rule.path === urlPath || (rule.path.endsWith("/*") && urlPath.startsWith(rule.path.slice(0, -1))));
+
+function validateAllow(allow, at, errors) {
+    if (!Array.isArray(allow)) return errors.push(`${at}.allow must be an array of rules like "GET /users/*"`);
+    allow.forEach((rule, i) => {
+        if (typeof rule !== "string" || !parseRule(rule)) errors.push(`${at}.allow[${i}] "${rule}" is not a rule like "GET /users/*" or "*"`);
+    });
+}
+
+// Collects every problem instead of stopping at the first one
+function validateConfig(config) {
+    const errors = [];
+    const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+    if (!isObject(config)) return ["routes file must contain an object"];
+    for (const key of ["aliases", "services"]) {
+        if (config[key] !== undefined && !isObject(config[key])) errors.push(`${key} must be an object`);
+    }
+
+    if (errors.length > 0) return errors;
+
+    for (const [alias, target] of Object.entries(config.aliases || {})) {
+        const at = `aliases.${alias}`;
+        if (!target || typeof target.service !== "string" || !target.service) errors.push(`${at}.service must be a service name`);
+        if (target && target.prefix !== undefined && !(typeof target.prefix === "string" && target.prefix.startsWith("/"))) {
+            errors.push(`${at}.prefix must be a path starting with "/"`);
+        }
+    }
+    for (const [name, service] of Object.entries(config.services || {})) {
+        validateAllow(service && service.allow, `services.${name}`, errors);
+    }
+    if (config.default !== undefined && config.default !== null) validateAllow(config.default.allow, "default", errors);
+    return errors;
+}
+
+// Own keys only, so a segment like "constructor" is not read off the prototype
+const lookup = (object, key) => (object && Object.hasOwn(object, key) ? object[key] : undefined);
+
+function loadConfig(file) {
+    const config = JSON.parse(fs.readFileSync(file, "utf8"));
+    const errors = validateConfig(config);
+    if (errors.length > 0) throw new Error(`Invalid ${file}:\n  ${errors.join("\n  ")}`);
+    return config;
+}
+
+/**
+ * Maps the first segment after /api to a service. The segment is an alias from
+ * the routes file, or else the service name itself, so a newly registered
+ * service is reachable as /api/<name>/... without any config change.
+ *
+ *   resolve("users", "GET", "/42") → { service: "user-service", path: "/users/42", allowed: true }
+ *
+ * A service listed under "services" may only be called on its allow-list; any other
+ * service falls under "default" (set it to null to expose listed services only).
+ * The file is reloaded when it changes; an invalid edit keeps the previous routes.
+ */
+function createRoutes(file) {
+    let config = loadConfig(file);
+    console.log(`[Gateway]: Loaded routes from ${file}`);
+
+    let pending;
+    const reload = () => {
+        try {
+            config = loadConfig(file);
+            console.log(`[Gateway]: Reloaded routes from ${file}`);
+        } catch (err) {
+            console.error(`[Gateway]: ${err.message}\n[Gateway]: Keeping the previous routes`);
+        }
+    };
+    // Watch the directory, editors often replace the file instead of writing into it
+    fs.watch(path.dirname(file), (event, filename) => {
+        if (filename !== path.basename(file)) return;
+        clearTimeout(pending);
+        pending = setTimeout(reload, 100);
+    }).unref();
+
+    const resolve = (segment, method, rest) => {
+        const alias = lookup(config.aliases, segment);
+        const service = alias ? alias.service : segment;
+        const urlPath = (((alias && alias.prefix) || "") + rest) || "/";
+        const listed = lookup(config.services, service);
+        const allow = listed ? listed.allow : config.default ? config.default.allow : [];
+        const allowed = allow.map(parseRule).some(rule => ruleMatches(rule, method, urlPath));
+        return { service, path: urlPath, allowed };
+    };
+
+    return { resolve };
+}
+
+module.exports = { createRoutes, loadConfig, validateConfig };
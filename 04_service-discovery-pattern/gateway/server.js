@@ -1,7 +1,27 @@
 const express = require("express");
-const axios = require("axios");
+const path = require("path");
+const { createDiscoveryClient } = require("discovery-client");
+const { createRoutes } = require("./lib/routes");
 const app = express();
 
+// Instance lists are cached and balanced here, so the registry is not asked on every request.
+// The registry's watch stream keeps them current.
+const discovery = createDiscoveryClient({
+    // One or more registry nodes, e.g. REGISTRY=http://localhost:3000,http://localhost:3001
+    registry: (process.env.REGISTRY || "http://localhost:3000").split(","),
+    strategy: process.env.DISCOVERY_STRATEGY || "round-robin",
+    watch: true,
+});
+
+// Aliases and allow-lists per service (see lib/routes.js)
+const routes = createRoutes(process.env.ROUTES_FILE || path.join(__dirname, "routes.json"));
+
+// Hop-by-hop headers only concern one connection; the api key is meant for the gateway only
+const REQUEST_HEADERS_DROPPED = ["connection", "keep-alive", "transfer-encoding", "upgrade", "te", "trailer",
+    "proxy-authorization", "host", "content-length", "api-key"];
+const RESPONSE_HEADERS_DROPPED = ["connection", "keep-alive", "transfer-encoding", "upgrade", "trailer", "content-length"];
+const without = (headers, dropped) => Object.fromEntries(Object.entries(headers).filter(([name]) => !dropped.includes(name.toLowerCase())));
+
 app.use((req, res, next) => {
     const apiKey = req.headers['api-key'];
     if (apiKey === 'secret123') {
@@ -11,29 +31,59 @@ app.use((req, res, next) => {
     }
 });
 
-app.get("/api/users", async (req, res) => {
-    try {
-        const { data } = await axios.get("http://localhost:3000/discover/user-service");
-        if (!data || !data.host || !data.port) {
-            return res.status(503).json({ error: "User service not available" });
+// Callers that opt in with "x-canary: true" get canary instances (or stable ones
+// if the service has no canary, or the canary list cannot be fetched), everyone else never reaches a canary
+async function callService(name, config, req) {
+    if (req.headers["x-canary"] === "true") {
+        try {
+            return await discovery.request(name, config, { tag: "canary" });
+        } catch (err) {
+            if (!["NO_INSTANCES", "UNKNOWN_SERVICE", "REGISTRY_UNAVAILABLE"].includes(err.code)) throw err;
         }
-        const response = await axios.get(`http://${data.host}:${data.port}/users`);
-        res.json(response.data);
-    } catch (err) {
-        res.status(500).json({ error: "User service error", details: err.message });
     }
-});
+    return discovery.request(name, config, { tag: "!canary" });
+}
+
+// Status, headers and body exactly as the instance sent them, errors included
+const relay = (res, response) => res.status(response.status).set(without(response.headers.toJSON(), RESPONSE_HEADERS_DROPPED)).send(response.data);
 
-app.get("/api/orders", async (req, res) => {
+// /api/<alias or service name>/<rest>?<query> → <alias prefix>/<rest>?<query> on an instance of the service
+app.all("/api/:service{/*rest}", express.raw({ type: () => true, limit: "1mb" }), async (req, res) => {
+    const segments = req.params.rest || [];
+    // The instance would resolve these, stepping outside the path the allow-list checked
+    if (segments.some(segment => segment === "." || segment === "..")) return res.status(400).json({ error: "Invalid path" });
+    const rest = segments.map(encodeURIComponent).join("/");
+    const route = routes.resolve(req.params.service, req.method, rest ? `/${rest}` : "");
+    if (!route.allowed) {
+        return res.status(403).json({ error: `${req.method} ${route.path} is not allowed on ${route.service}` });
+    }
+
+    const queryAt = req.originalUrl.indexOf("?");
+    const query = queryAt === -1 ? "" : req.originalUrl.slice(queryAt);
     try {
-        const { data } = await axios.get("http://localhost:3000/discover/order-service");
-        if (!data || !data.host || !data.port) {
-            return res.status(503).json({ error: "Order service not available" });
-        }
-        const response = await axios.get(`http://${data.host}:${data.port}/orders`);
-        res.json(response.data);
+        const response = await callService(route.service, {
+            method: req.method,
+            url: route.path + query,
+            headers: {
+                ...without(req.headers, REQUEST_HEADERS_DROPPED),
+                "x-forwarded-for": req.ip,
+                "x-forwarded-host": req.headers.host,
+                "x-forwarded-prefix": `/api/${req.params.service}`,
+                // Otherwise axios asks for gzip on the caller's behalf, and we relay bodies undecompressed
+                "accept-encoding": req.headers["accept-encoding"] || "identity",
+            },
+            data: Buffer.isBuffer(req.body) ? req.body : undefined,
+            // Passed through untouched: no parsing, no decompressing, no following redirects
+            responseType: "arraybuffer",
+            decompress: false,
+            maxRedirects: 0,
+        }, req);
+        relay(res, response);
     } catch (err) {
-        res.status(500).json({ error: "Order service error", details: err.message });
+        if (err.response) return relay(res, err.response);
+        if (err.code === "UNKNOWN_SERVICE") return res.status(404).json({ error: `Unknown service ${route.service}` });
+        if (err.code === "NO_INSTANCES") return res.status(503).json({ error: `${route.service} not available` });
+        res.status(502).json({ error: `${route.service} error`, details: err.message });
     }
 });
 
@@ -0,0 +1,32 @@
+// Every change to the registry gets the next index. The last `size` events are
+// kept so a watcher that reconnects can catch up from the index it last saw.
+function createEventLog({ size = 1000 } = {}) {
+    let index = 0;
+    const events = [];
+    const subscribers = new Set();
+
+    const append = (type, service, instance, extra = {}) => {
+        const event = { index: ++index, type, service, instance, ...extra, at: new Date().toISOString() };
+        events.push(event);
+        if (events.length > size) events.shift();
+        for (const subscriber of subscribers) subscriber(event);
+        return event;
+    };
+
+    // Events of `service` after `from`, or null when they are no longer all
+    // kept (or `from` comes from before a registry restart) and the caller has to resync
+    const since = (from, service) => {
+        if (from > index) return null;
+        if (from < index && (events.length === 0 || events[0].index > from + 1)) return null;
+        return events.filter(e => e.index > from && e.service === service);
+    };
+
+    const subscribe = (fn) => {
+        subscribers.add(fn);
+        return () => subscribers.delete(fn);
+    };
+
+    return { append, since, subscribe, current: () => index };
+}
+
+module.exports = { createEventLog };
@@ -0,0 +1,31 @@
+// Discovery filters from the query string:
+//   ?version=2.x     version pattern, "x" matches any number in that position
+//   ?zone=a          exact zone
+//   ?tag=canary      must have the tag (repeat for several); "!canary" must not have it
+const asList = (value) => (value === undefined ? [] : [].concat(value));
+
+function parseFilters(query) {
+    return {
+        version: typeof query.version === "string" ? query.version : undefined,
+        zone: typeof query.zone === "string" ? query.zone : undefined,
+        tags: asList(query.tag).filter(t => typeof t === "string" && t),
+    };
+}
+
+// "2.x" matches 2.0.0 and 2.7.1, "2.1.x" matches 2.1.4, "2.1.0" only itself.
+// A shorter pattern matches on its prefix, so "2" behaves like "2.x".
+function versionMatches(pattern, version) {
+    if (!version) return false;
+    const actual = version.split(".");
+    return pattern.split(".").every((part, i) => part === "x" || part === "*" || part === actual[i]);
+}
+
+function matches(instance, { version, zone, tags }) {
+    if (version && !versionMatches(version, instance.version)) return false;
+    if (zone && instance.zone !== zone) return false;
+    return tags.every(tag => (tag.startsWith("!")
+        ? !instance.tags.includes(tag.slice(1))
+        : instance.tags.includes(tag)));
+}
+
+module.exports = { parseFilters, matches };
@@ -0,0 +1,90 @@
+const axios = require("axios");
+
+const DEFAULTS = { interval: 10000, failureThreshold: 3, timeout: 2000 };
+const HISTORY_SIZE = 20;
+
+function validateHealthCheck(healthCheck) {
+    const errors = [];
+    if (healthCheck === undefined) return errors;
+    if (typeof healthCheck !== "object" || healthCheck === null) return ["healthCheck must be an object"];
+    const { url, interval, failureThreshold, timeout } = healthCheck;
+    if (typeof url !== "string" || !/^https?:\/\//.test(url)) errors.push("healthCheck.url must be an http(s) URL");
+    if (interval !== undefined && !(interval >= 1000 && interval <= 60000)) errors.push("healthCheck.interval must be between 1000 and 60000 ms");
+    if (failureThreshold !== undefined && !(Number.isInteger(failureThreshold) && failureThreshold >= 1)) {
+        errors.push("healthCheck.failureThreshold must be a positive integer");
+    }
+    if (timeout !== undefined && !(timeout > 0)) errors.push("healthCheck.timeout must be a positive number of ms");
+    return errors;
+}
+
+/**
+ * Probes instances that registered a healthCheck. After failureThreshold
+ * consecutive failures the instance is marked unhealthy (and no longer
+ * discovered); the first successful probe brings it back. onChange(name, instance)
+ * is called on every flip.
+ */
+function createHealthChecker({ onChange = () => {} } = {}) {
+    const timers = new Map();
+    // The healthCheck each instance is being probed with, as JSON
+    const configs = new Map();
+
+    const probe = async (name, instance) => {
+        const check = instance.health;
+        const startedAt = Date.now();
+        const result = { at: new Date(startedAt).toISOString() };
+        try {
+            // Anything but a 2xx counts as a failure
+            const response = await axios.get(check.url, { timeout: check.timeout });
+            Object.assign(result, { ok: true, status: response.status });
+        } catch (err) {
+            Object.assign(result, { ok: false, status: err.response ? err.response.status : null, error: err.code || err.message });
+        }
+        result.latencyMs = Date.now() - startedAt;
+
+        check.history.push(result);
+        if (check.history.length > HISTORY_SIZE) check.history.shift();
+        check.consecutiveFailures = result.ok ? 0 : check.consecutiveFailures + 1;
+
+        if (result.ok && !instance.healthy) {
+            instance.healthy = true;
+            console.log(`HEALTHY → ${name} at ${instance.id}`);
+            onChange(name, instance);
+        } else if (!result.ok && instance.healthy && check.consecutiveFailures >= check.failureThreshold) {
+            instance.healthy = false;
+            console.log(`UNHEALTHY → ${name} at ${instance.id} (${check.consecutiveFailures} failed checks, last: ${result.error})`);
+            onChange(name, instance);
+        }
+    };
+
+    const stop = (instance) => {
+        clearInterval(timers.get(instance));
+        timers.delete(instance);
+        configs.delete(instance);
+    };
+
+    // Called on every registration. Only a new instance or a changed config (re)starts probing;
+    // otherwise health and history are kept, so re-registering cannot put back an instance
+    // that is failing its checks.
+    const watch = (name, instance, healthCheck) => {
+        const config = JSON.stringify(healthCheck || null);
+        if (configs.get(instance) === config) return;
+        stop(instance);
+        configs.set(instance, config);
+        instance.healthy = true;
+        if (!healthCheck) {
+            delete instance.health;
+            return;
+        }
+        const interval = healthCheck.interval || DEFAULTS.interval;
+        // A probe never outlives the interval, so probes of one instance do not overlap
+        const timeout = Math.min(healthCheck.timeout || DEFAULTS.timeout, interval);
+        instance.health = { ...DEFAULTS, ...healthCheck, interval, timeout, consecutiveFailures: 0, history: [] };
+        const timer = setInterval(() => probe(name, instance), instance.health.interval);
+        timer.unref();
+        timers.set(instance, timer);
+    };
+
+    return { watch, stop };
+}
+
+module.exports = { createHealthChecker, validateHealthCheck };
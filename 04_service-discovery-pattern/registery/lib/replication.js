@@ -0,0 +1,53 @@
+const axios = require("axios");
+
+const TIMEOUT = 2000;
+
+/**
+ * Keeps the registry nodes of a cluster in sync.
+ *   push(record, type) - sends one local change to every peer, fire and forget
+ *   sync()             - pulls every peer's full state (on start, then every `interval` ms),
+ *                        which also repairs pushes that were lost while a peer was down
+ * Conflicts are settled by merge() (last writer wins, see server.js).
+ */
+function createReplicator({ nodeId, peers, merge, interval = 30000 }) {
+    const unreachable = new Set();
+
+    const reachable = (peer) => {
+        if (unreachable.delete(peer)) console.log(`[Replication]: ${peer} is reachable again`);
+    };
+    const failed = (peer, err) => {
+        if (unreachable.has(peer)) return;
+        unreachable.add(peer);
+        console.log(`[Replication]: ${peer} unreachable (${err.code || err.message})`);
+    };
+
+    const push = (record, type) => {
+        for (const peer of peers) {
+            axios.post(`${peer}/replicate`, { from: nodeId, changes: [{ record, type }] }, { timeout: TIMEOUT })
+                .then(() => reachable(peer), (err) => failed(peer, err));
+        }
+    };
+
+    const pull = async (peer) => {
+        try {
+            const { data } = await axios.get(`${peer}/replicate`, { timeout: TIMEOUT });
+            data.records.forEach(record => merge(record));
+            reachable(peer);
+        } catch (err) {
+            failed(peer, err);
+        }
+    };
+
+    const sync = () => Promise.all(peers.map(pull));
+
+    const start = async () => {
+        await sync();
+        setInterval(sync, interval).unref();
+    };
+
+    const status = () => peers.map(url => ({ url, reachable: !unreachable.has(url) }));
+
+    return { push, sync, start, status };
+}
+
+module.exports = { createReplicator };
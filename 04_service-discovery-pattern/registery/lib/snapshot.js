@@ -0,0 +1,36 @@
+const fs = require("fs");
+const path = require("path");
+
+function loadSnapshot(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8")).records || [];
+    } catch (err) {
+        if (err.code !== "ENOENT") console.log(`[Snapshot]: ignoring unreadable ${file}: ${err.message}`);
+        return [];
+    }
+}
+
+// Writes getRecords() to `file` at most every `interval` ms, and only after a change
+function createSnapshotWriter(file, getRecords, { interval = 5000 } = {}) {
+    let dirty = false;
+
+    const save = () => {
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            // Temp file + rename, so a crash mid-write never leaves half a snapshot
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify({ savedAt: new Date().toISOString(), records: getRecords() }, null, 2));
+            fs.renameSync(`${file}.tmp`, file);
+            dirty = false;
+        } catch (err) {
+            console.log(`[Snapshot]: could not write ${file}: ${err.message}`);
+        }
+    };
+
+    setInterval(() => {
+        if (dirty) save();
+    }, interval).unref();
+
+    return { save, markDirty: () => (dirty = true) };
+}
+
+module.exports = { loadSnapshot, createSnapshotWriter };
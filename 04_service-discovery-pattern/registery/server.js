@@ -1,22 +1,389 @@
 const express = require("express");
+const path = require("path");
+const { createHealthChecker, validateHealthCheck } = require("./lib/healthCheck");
+const { parseFilters, matches } = require("./lib/filters");
+const { createEventLog } = require("./lib/events");
+const { createReplicator } = require("./lib/replication");
+const { loadSnapshot, createSnapshotWriter } = require("./lib/snapshot");
 const app = express();
 app.use(express.json());
 
-const services = {};
+const PORT = Number(process.argv[2]) || 3000;
+const NODE_ID = process.env.NODE_ID || `registry-${PORT}`;
+// The other nodes of the cluster, e.g. PEERS=http://localhost:3001,http://localhost:3002
+const PEERS = (process.env.PEERS || "").split(",").map(peer => peer.trim()).filter(Boolean);
+const SNAPSHOT_FILE = process.env.SNAPSHOT_FILE || path.join(__dirname, "data", `${NODE_ID}.json`);
+
+// Leases: an instance stays registered for `ttl` ms after its last
+// register/heartbeat call, then the sweeper evicts it
+const DEFAULT_TTL = 30000;
+const MIN_TTL = 1000;
+const MAX_TTL = 5 * 60 * 1000;
+const SWEEP_INTERVAL = 1000;
+// Comment lines on idle watch streams, so proxies do not close them
+const WATCH_KEEPALIVE = 15000;
+// Deregistrations are remembered this long, so they also reach nodes that were down at the time
+const TOMBSTONE_TTL = 10 * 60 * 1000;
+// How far ahead of our clock a replicated lease may end beyond its ttl
+const MAX_CLOCK_SKEW = 5000;
+
+// Only UP instances are handed out. DRAINING ones finish their in-flight
+// requests during a shutdown, DOWN ones are registered but not serving.
+const STATUSES = ["STARTING", "UP", "DRAINING", "DOWN"];
+
+// No prototype, so a service called e.g. "constructor" is just another name
+const services = Object.create(null);
+// "name/id" → { service, id, deleted: true, reason, updatedAt, origin }
+const tombstones = new Map();
+const events = createEventLog();
+
+const instanceId = (host, port) => `${host}:${port}`;
+const isAlive = (instance, now = Date.now()) => instance.expiresAt > now;
+const isDiscoverable = (instance) => isAlive(instance) && instance.status === "UP" && instance.healthy;
+
+// What clients get to see of an instance
+const describe = ({ id, host, port, status, healthy, version, zone, tags, weight }) => ({ id, host, port, status, healthy, version, zone, tags, weight });
+
+const healthChecker = createHealthChecker({
+    onChange: (name, instance) => events.append("health", name, describe(instance)),
+});
+
+// What nodes replicate of an instance. healthy/health stay local: every node probes for itself.
+const REPLICATED_FIELDS = ["id", "host", "port", "status", "version", "zone", "tags", "weight", "ttl",
+    "registeredAt", "lastHeartbeat", "expiresAt", "healthCheck", "updatedAt", "origin"];
+const pick = (source) => Object.fromEntries(REPLICATED_FIELDS.map(field => [field, source[field]]));
+const toRecord = (name, instance) => ({ service: name, ...pick(instance) });
+const allRecords = () => [
+    ...Object.entries(services).flatMap(([name, list]) => list.map(instance => toRecord(name, instance))),
+    ...tombstones.values(),
+];
+
+// Last writer wins; the node id breaks ties so every node picks the same winner
+const isNewer = (a, b) => a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && a.origin > b.origin);
+const stamp = (target, after = target.updatedAt || 0) =>
+    Object.assign(target, { updatedAt: Math.max(Date.now(), after + 1), origin: NODE_ID });
+
+const snapshot = createSnapshotWriter(SNAPSHOT_FILE, allRecords);
+const replicator = createReplicator({ nodeId: NODE_ID, peers: PEERS, merge: (record) => mergeChecked(record) });
+
+// Sends a change made on this node to the peers
+const replicate = (record, type) => {
+    replicator.push(record, type);
+    snapshot.markDirty();
+};
+
+function removeInstance(name, instance) {
+    healthChecker.stop(instance);
+    services[name] = services[name].filter(i => i !== instance);
+    if (services[name].length === 0) delete services[name];
+}
+
+// Applies a record from another node (pushed with the `type` of change, or pulled) or from the snapshot
+function merge(record, type) {
+    if (!record || !record.service || !record.id) return;
+    const { service: name, id } = record;
+    const key = `${name}/${id}`;
+    const instance = (services[name] || []).find(i => i.id === id);
+    const current = instance || tombstones.get(key);
+    if (current && !isNewer(record, current)) return;
+
+    if (record.deleted) {
+        tombstones.set(key, record);
+        if (!instance) return snapshot.markDirty();
+        removeInstance(name, instance);
+        console.log(`DEREGISTERED → ${name} at ${id} (from ${record.origin})`);
+        events.append("deregister", name, describe(instance), { reason: record.reason });
+    } else if (!instance) {
+        // Already expired: the sweeper would only evict it again
+        if (!isAlive(record)) return;
+        tombstones.delete(key);
+        const added = pick(record);
+        (services[name] = services[name] || []).push(added);
+        healthChecker.watch(name, added, added.healthCheck);
+        console.log(`REGISTERED → ${name} at ${id} (${added.status}, from ${record.origin})`);
+        events.append("register", name, describe(added));
+    } else {
+        const statusChanged = instance.status !== record.status;
+        const checkChanged = JSON.stringify(instance.healthCheck) !== JSON.stringify(record.healthCheck);
+        Object.assign(instance, pick(record));
+        if (type === "register" || checkChanged) healthChecker.watch(name, instance, instance.healthCheck);
+        if (type === "register") events.append("register", name, describe(instance));
+        else if (statusChanged) events.append("status", name, describe(instance));
+    }
+    snapshot.markDirty();
+}
+
+function validateRegistration({ name, host, port, ttl, status, weight, version, zone, tags, healthCheck }) {
+    const errors = [];
+    if (typeof name !== "string" || !name) errors.push("name is required");
+    if (typeof host !== "string" || !host) errors.push("host is required");
+    if (!(Number(port) > 0 && Number(port) < 65536)) errors.push("port must be a valid port number");
+    // A number, not "15000": a string would turn `now + ttl` into string concatenation
+    if (ttl !== undefined && !(Number.isInteger(ttl) && ttl >= MIN_TTL && ttl <= MAX_TTL)) {
+        errors.push(`ttl must be an integer between ${MIN_TTL} and ${MAX_TTL} ms`);
+    }
+    if (status !== undefined && !STATUSES.includes(status)) errors.push(`status must be one of ${STATUSES.join(", ")}`);
+    if (weight !== undefined && !(typeof weight === "number" && weight > 0)) errors.push("weight must be a positive number");
+    if (version !== undefined && !(typeof version === "string" && /^\d+(\.\d+)*$/.test(version))) errors.push("version must look like 1.2.3");
+    if (zone !== undefined && (typeof zone !== "string" || !zone)) errors.push("zone must be a non-empty string");
+    if (tags !== undefined && !(Array.isArray(tags) && tags.every(t => typeof t === "string" && t && !t.startsWith("!")))) {
+        errors.push("tags must be an array of non-empty strings");
+    }
+    errors.push(...validateHealthCheck(healthCheck));
+    return errors;
+}
+
+// Records from peers and the snapshot get the same checks as /register, plus the
+// replication fields, so one bad node or file cannot plant a lease that never ends
+function validateRecord(record) {
+    if (!record || typeof record !== "object") return ["record must be an object"];
+    const errors = [];
+    if (typeof record.service !== "string" || !record.service) errors.push("service is required");
+    if (typeof record.id !== "string" || !record.id) errors.push("id is required");
+    if (!Number.isFinite(record.updatedAt)) errors.push("updatedAt must be a timestamp");
+    if (typeof record.origin !== "string" || !record.origin) errors.push("origin is required");
+    if (record.deleted !== undefined) {
+        if (record.deleted !== true) errors.push("deleted must be true when present");
+        return errors;
+    }
+
+    const orNone = (value) => (value === null ? undefined : value);
+    errors.push(...validateRegistration({
+        name: record.service, host: record.host, port: record.port, ttl: record.ttl, status: record.status,
+        weight: record.weight, version: orNone(record.version), zone: orNone(record.zone), tags: record.tags,
+        healthCheck: orNone(record.healthCheck),
+    }));
+    if (record.ttl === undefined) errors.push("ttl is required");
+    if (record.status === undefined) errors.push("status is required");
+    if (!Number.isInteger(record.port)) errors.push("port must be an integer");
+    else if (record.id !== instanceId(record.host, record.port)) errors.push("id must be host:port");
+    for (const field of ["registeredAt", "lastHeartbeat", "expiresAt"]) {
+        if (!Number.isFinite(record[field])) errors.push(`${field} must be a timestamp`);
+    }
+    if (Number.isFinite(record.expiresAt) && record.expiresAt > Date.now() + record.ttl + MAX_CLOCK_SKEW) {
+        errors.push("expiresAt is further ahead than its ttl allows");
+    }
+    return errors;
+}
+
+function mergeChecked(record, type) {
+    const errors = validateRecord(record);
+    if (errors.length > 0) {
+        console.log(`[Replication]: ignoring invalid record ${record && record.service}/${record && record.id}: ${errors.join(", ")}`);
+        return errors;
+    }
+    merge(record, type);
+    return errors;
+}
+
+const findInstance = ({ name, host, port }) => (services[name] || []).find(i => i.id === instanceId(host, Number(port)));
+// Unknown (e.g. already evicted, or the registry restarted): the client should register again
+const notRegistered = (res, { name, host, port }) =>
+    res.status(404).json({ error: "not_registered", message: `${name} at ${instanceId(host, port)} is not registered` });
 
 app.post("/register", (req, res) => {
-    const { name, host, port } = req.body;
+    const body = req.body || {};
+    const errors = validateRegistration(body);
+    if (errors.length > 0) return res.status(400).json({ error: "invalid_request", errors });
+
+    const { name, host } = body;
+    const port = Number(body.port);
+    const ttl = body.ttl || DEFAULT_TTL;
+    const status = body.status || "UP";
+    // Metadata for filtered discovery; weight is used by clients with the "weighted" strategy
+    const metadata = { version: body.version || null, zone: body.zone || null, tags: body.tags || [], weight: body.weight || 1 };
+    const id = instanceId(host, port);
+    const healthCheck = body.healthCheck || null;
+    const now = Date.now();
+
     if (!services[name]) services[name] = [];
-    services[name].push({ host, port });
-    console.log(`REGISTERED → ${name} at ${host}:${port}`);
-    res.sendStatus(200);
+    // Same host:port registering again (e.g. after a restart) renews its lease
+    let instance = services[name].find(i => i.id === id);
+    if (instance) {
+        Object.assign(instance, { ttl, status, ...metadata, healthCheck, expiresAt: now + ttl, lastHeartbeat: now });
+        console.log(`RE-REGISTERED → ${name} at ${id} (${status})`);
+    } else {
+        instance = { id, host, port, status, ...metadata, healthCheck, ttl, registeredAt: now, lastHeartbeat: now, expiresAt: now + ttl };
+        services[name].push(instance);
+        console.log(`REGISTERED → ${name} at ${id} (${status})`);
+    }
+    // Must win over a deregistration of the same instance that other nodes may still hold
+    const tombstone = tombstones.get(`${name}/${id}`);
+    stamp(instance, Math.max(instance.updatedAt || 0, tombstone ? tombstone.updatedAt : 0));
+    tombstones.delete(`${name}/${id}`);
+    healthChecker.watch(name, instance, healthCheck);
+    events.append("register", name, describe(instance));
+    replicate(toRecord(name, instance), "register");
+    res.json({ id, ttl, status });
+});
+
+app.post("/deregister", (req, res) => {
+    const body = req.body || {};
+    const instance = findInstance(body);
+    if (!instance) return notRegistered(res, body);
+
+    removeInstance(body.name, instance);
+    const tombstone = stamp({ service: body.name, id: instance.id, deleted: true, reason: "deregistered" }, instance.updatedAt);
+    tombstones.set(`${body.name}/${instance.id}`, tombstone);
+    console.log(`DEREGISTERED → ${body.name} at ${instance.id}`);
+    events.append("deregister", body.name, describe(instance), { reason: "deregistered" });
+    replicate(tombstone, "deregister");
+    res.json({ id: instance.id });
 });
 
+app.post("/status", (req, res) => {
+    const body = req.body || {};
+    if (!STATUSES.includes(body.status)) {
+        return res.status(400).json({ error: "invalid_request", errors: [`status must be one of ${STATUSES.join(", ")}`] });
+    }
+    const instance = findInstance(body);
+    if (!instance) return notRegistered(res, body);
+
+    if (instance.status !== body.status) {
+        console.log(`STATUS → ${body.name} at ${instance.id}: ${instance.status} → ${body.status}`);
+        instance.status = body.status;
+        stamp(instance);
+        events.append("status", body.name, describe(instance));
+        replicate(toRecord(body.name, instance), "status");
+    }
+    res.json({ id: instance.id, status: instance.status });
+});
+
+app.post("/heartbeat", (req, res) => {
+    const body = req.body || {};
+    const instance = findInstance(body);
+    if (!instance) return notRegistered(res, body);
+
+    const now = Date.now();
+    instance.lastHeartbeat = now;
+    instance.expiresAt = now + instance.ttl;
+    // Every node has to see the renewed lease, or it would evict the instance
+    stamp(instance);
+    replicate(toRecord(body.name, instance), "heartbeat");
+    res.json({ id: instance.id, ttl: instance.ttl, status: instance.status });
+});
+
+// Discoverable instances of a service that match the query filters (see lib/filters.js)
+const discoverable = (name, query) => {
+    const filters = parseFilters(query);
+    // Checks expiry as well, so an expired instance is never handed out between sweeps
+    return (services[name] || []).filter(i => isDiscoverable(i) && matches(i, filters));
+};
+
 app.get("/discover/:name", (req, res) => {
+    const list = discoverable(req.params.name, req.query);
+    if (list.length === 0) {
+        // `registered` tells "nothing matches right now" apart from a name nobody ever registered
+        const registered = Boolean(services[req.params.name]);
+        return res.status(404).json({ error: registered ? "No instance matches the filters" : "Service not found", registered });
+    }
+    res.json(list.map(describe));
+});
+
+// Same list, but an empty array instead of a 404, for clients that cache it and balance themselves.
+// X-Registry-Index lets them watch for changes from exactly this point.
+app.get("/instances/:name", (req, res) => {
+    res.set("X-Registry-Index", String(events.current()));
+    res.json(discoverable(req.params.name, req.query).map(describe));
+});
+
+// Server-Sent Events stream of changes to one service: register, deregister, status, health.
+// Resume with ?index=N or the Last-Event-ID header; if those events are gone
+// (or no index was given) a "snapshot" with every current instance comes first.
+app.get("/watch/:name", (req, res) => {
+    const name = req.params.name;
+    const from = Number(req.headers["last-event-id"] ?? req.query.index);
+
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+    res.flushHeaders();
+    const send = (event) => res.write(`id: ${event.index}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+    const missed = Number.isInteger(from) && from >= 0 ? events.since(from, name) : null;
+    if (missed) {
+        missed.forEach(send);
+    } else {
+        send({ index: events.current(), type: "snapshot", service: name, instances: (services[name] || []).map(describe) });
+    }
+
+    const unsubscribe = events.subscribe((event) => {
+        if (event.service === name) send(event);
+    });
+    const keepalive = setInterval(() => res.write(": keepalive\n\n"), WATCH_KEEPALIVE);
+    req.on("close", () => {
+        unsubscribe();
+        clearInterval(keepalive);
+    });
+});
+
+app.get("/services", (req, res) => res.json(services));
+
+// Replication between registry nodes (see lib/replication.js)
+app.get("/replicate", (req, res) => res.json({ node: NODE_ID, records: allRecords() }));
+
+app.post("/replicate", (req, res) => {
+    const changes = (req.body || {}).changes;
+    if (!Array.isArray(changes)) return res.status(400).json({ error: "invalid_request", errors: ["changes must be an array"] });
+    // All or nothing, so the sender can tell from the status what happened
+    const errors = changes.flatMap((change, i) => validateRecord(change && change.record).map(error => `changes[${i}].record: ${error}`));
+    if (errors.length > 0) return res.status(400).json({ error: "invalid_request", errors });
+    changes.forEach(({ record, type }) => merge(record, type));
+    res.json({ node: NODE_ID, applied: changes.length });
+});
+
+app.get("/cluster", (req, res) => res.json({ node: NODE_ID, peers: replicator.status() }));
+
+// Probe results per instance of a service (only instances that registered a healthCheck have history)
+app.get("/health/:name", (req, res) => {
     const list = services[req.params.name];
-    if (!list || list.length === 0) return res.status(404).json({ error: "Service not found" });
-    const instance = list[Math.floor(Math.random() * list.length)];
-    res.json(instance);
+    if (!list) return res.status(404).json({ error: "Service not found" });
+    res.json(list.map(({ id, status, healthy, health }) => ({
+        id,
+        status,
+        healthy,
+        consecutiveFailures: health ? health.consecutiveFailures : null,
+        history: health ? health.history : []
+    })));
 });
 
-app.listen(3000, () => console.log("SERVICE REGISTRY running on :3000"));
+setInterval(() => {
+    const now = Date.now();
+    for (const [name, list] of Object.entries(services)) {
+        for (const instance of list.filter(i => !isAlive(i, now))) {
+            console.log(`EVICTED → ${name} at ${instance.id} (no heartbeat for ${now - instance.lastHeartbeat}ms)`);
+            removeInstance(name, instance);
+            // Not replicated: every node evicts on its own. Stamped with the lease end, so all nodes write the same tombstone.
+            tombstones.set(`${name}/${instance.id}`, { service: name, id: instance.id, deleted: true, reason: "expired", updatedAt: instance.expiresAt, origin: instance.origin });
+            snapshot.markDirty();
+            events.append("deregister", name, describe(instance), { reason: "expired" });
+        }
+    }
+    for (const [key, tombstone] of tombstones) {
+        if (now - tombstone.updatedAt > TOMBSTONE_TTL) tombstones.delete(key);
+    }
+}, SWEEP_INTERVAL);
+
+// Cold start: the snapshot holds what this node knew when it stopped. Leases are renewed
+// once, so instances get a full ttl to heartbeat again before anything is evicted.
+const restored = loadSnapshot(SNAPSHOT_FILE);
+for (const record of restored) {
+    if (record && !record.deleted) record.expiresAt = Math.max(record.expiresAt, Date.now() + record.ttl);
+    mergeChecked(record);
+}
+if (restored.length > 0) console.log(`Restored ${restored.length} record(s) from ${SNAPSHOT_FILE}`);
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+        snapshot.save();
+        process.exit(0);
+    });
+}
+
+// Catch up with whatever the peers learned while this node was down before serving anything,
+// so clients never read an empty list from a node that simply has not synced yet
+replicator.start().then(() => {
+    app.listen(PORT, () => {
+        console.log(`SERVICE REGISTRY ${NODE_ID} running on :${PORT}` + (PEERS.length ? `, peers: ${PEERS.join(", ")}` : ""));
+        // Pushes sent to us during the first pull were refused; pick those up now
+        replicator.sync();
+    });
+});
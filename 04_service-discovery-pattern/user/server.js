@@ -1,23 +1,54 @@
 const express = require("express");
-const axios = require("axios");
+const { createRegistration } = require("discovery-client");
 
 const PORT = process.argv[2];
 const HOST = "localhost";
+// Any node of the registry cluster, e.g. REGISTRY=http://localhost:3000,http://localhost:3001
+const REGISTRIES = (process.env.REGISTRY || "http://localhost:3000").split(",");
+const TTL = 15000;
+// The registry probes this and stops handing us out after 3 failures in a row
+const HEALTH_CHECK = { url: `http://${HOST}:${PORT}/health`, interval: 5000, failureThreshold: 3 };
+// Longest we wait for in-flight requests on shutdown
+const DRAIN_TIMEOUT = 10000;
 const app = express();
 
-async function register() {
-    await axios.post("http://localhost:3000/register", {
-        name: "user-service",
-        host: HOST,
-        port: PORT,
-    });
-}
+const instance = { name: "user-service", host: HOST, port: PORT };
+// Sent with every registration; a canary runs with e.g. VERSION=2.0.0 TAGS=canary
+const metadata = {
+    version: process.env.VERSION || require("./package.json").version,
+    zone: process.env.ZONE || "a",
+    tags: process.env.TAGS ? process.env.TAGS.split(",") : [],
+    weight: Number(process.env.WEIGHT) || 1,
+};
+const registration = createRegistration({ registry: REGISTRIES, instance, metadata, ttl: TTL, healthCheck: HEALTH_CHECK });
+let server;
+
+app.get("/health", (req, res) => res.json({ status: registration.status() }));
 
 app.get("/users", (req, res) => {
-    res.json({ server: PORT, users: ["Alice", "Bob", "Charlie"] });
+    res.json({ server: PORT, version: metadata.version, users: ["Alice", "Bob", "Charlie"] });
 });
 
-app.listen(PORT, async () => {
-    console.log(`USER SERVICE running on ${PORT}`);
-    await register();
-});
+async function start() {
+    await registration.start();
+
+    server = app.listen(PORT, async () => {
+        console.log(`USER SERVICE running on ${PORT}`);
+        await registration.setStatus("UP").catch(err => console.log(`Could not mark UP, will retry: ${err.message}`));
+    });
+}
+
+async function shutdown(signal) {
+    if (registration.status() === "DRAINING") return;
+    console.log(`${signal} received, draining`);
+    const forceExit = setTimeout(() => process.exit(1), DRAIN_TIMEOUT);
+    forceExit.unref();
+    await registration.drain(server);
+    console.log("Deregistered, bye");
+    process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+start();